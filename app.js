@@ -0,0 +1,573 @@
+// The Express app shared by the long-running server (server.js) and the Vercel serverless entry (api/index.js)
+import express from 'express';
+import { PrismaClient } from '@prisma/client';
+import {
+  fetchAndStoreTickets,
+  recordTicketObservation,
+  findItineraryIds,
+  normalizeTicketLink,
+  parseTicketFilters,
+  hasTicketFilters,
+  applyTicketFilters,
+  filterFetchLimit,
+  getTravelpayoutsConfigFromEnv,
+  createTravelpayoutsClient,
+  hasTravelpayoutsCredentials,
+  TravelpayoutsHttpError,
+  TravelpayoutsGraphQLError,
+  loadConverter,
+  createEcbProvider,
+  getSearchCacheConfigFromEnv,
+  createSearchCacheFromConfig,
+  getQuotaConfigFromEnv,
+  createQuotaTrackerFromConfig,
+  QuotaExceededError,
+  getNotificationConfigFromEnv,
+  createChannels,
+  getAuthConfigFromEnv,
+  priceCalendarTtlMinutes,
+  runMaintenance,
+  getMaintenanceConfigFromEnv,
+  parseSegments,
+  loadAirlineNames,
+  validate,
+  flightSearchSchema,
+  priceCheckQuerySchema,
+  maintenanceQuerySchema
+} from './dist/index.js';
+import fs from 'fs';
+import cors from 'cors';
+import createTrackedRoutesRouter from './routes/trackedRoutes.js';
+import createItinerariesRouter from './routes/itineraries.js';
+import createAlertsRouter from './routes/alerts.js';
+import createMultiCityRouter from './routes/multiCity.js';
+import createPriceCalendarRouter from './routes/priceCalendar.js';
+import createTicketsRouter from './routes/tickets.js';
+import createAnalyticsRouter from './routes/analytics.js';
+import createRatesRouter from './routes/rates.js';
+import createPlacesRouter from './routes/places.js';
+import createAuthRouter, { createAuthMiddleware, requireAdmin } from './routes/auth.js';
+import { sendServerError, sendValidationError } from './routes/utils.js';
+
+const PRODUCTION_CORS_ORIGINS = ['https://aviasales-scraper.vercel.app/', 'https://www.aviasales-scraper.vercel.app/'];
+
+// Validate required environment variables (no API token is needed when replaying recorded responses)
+export function checkRequiredEnvVars(env = process.env) {
+  const required = ['DATABASE_URL', ...(hasTravelpayoutsCredentials(getTravelpayoutsConfigFromEnv(env)) ? [] : ['TRAVELPAYOUTS_API_TOKEN'])];
+  const missingEnvVars = required.filter(name => !env[name]);
+
+  if (missingEnvVars.length > 0) {
+    console.error('❌ Missing required environment variables:', missingEnvVars.join(', '));
+    console.error('Please set these variables in your .env file or in your hosting environment');
+
+    if (env.NODE_ENV === 'production') {
+      process.exit(1); // Exit in production to prevent starting with missing config
+    }
+  }
+}
+
+// App configuration read from the environment (see .env.example). createApp builds every client and
+// setting of the app from it, so nothing below reads process.env.
+export function getAppConfigFromEnv(env = process.env) {
+  const production = env.NODE_ENV === 'production';
+  return {
+    // Production hides error details from responses and restricts CORS
+    production,
+    environment: env.NODE_ENV || 'development',
+    databaseUrl: env.DATABASE_URL,
+    corsOrigins: production ? PRODUCTION_CORS_ORIGINS : '*',
+    staticMaxAge: production ? '1d' : 0,
+    // Bearer secret of scheduled jobs, which act as an admin
+    cronSecret: env.CRON_SECRET || null,
+    // Admin emails and session lifetime
+    auth: getAuthConfigFromEnv(env),
+    // API token, endpoint and live/record/replay mode of the Travelpayouts API, and its call budgets
+    travelpayouts: getTravelpayoutsConfigFromEnv(env),
+    quota: getQuotaConfigFromEnv(env),
+    searchCache: getSearchCacheConfigFromEnv(env),
+    priceCalendarTtlMinutes: priceCalendarTtlMinutes(env),
+    // ECB-style exchange rates file of /api/rates/refresh (ECB daily rates when null)
+    exchangeRatesUrl: env.EXCHANGE_RATES_URL || null,
+    // Alert notification channels and retries
+    notifications: getNotificationConfigFromEnv(env),
+    // Observation window of stored tickets, and their compaction and retention
+    storage: getMaintenanceConfigFromEnv(env),
+    // Used by the long-running server only
+    port: parseInt(env.PORT) || 3000,
+    priceCheckIntervalMinutes: parseInt(env.PRICE_CHECK_INTERVAL_MINUTES) || 0
+  };
+}
+
+// Build the app for a configuration. app.locals.config is the configuration (read by the shared
+// route helpers), app.locals.checkPrices(routeId?) runs a price check with the app's clients and
+// app.locals.close() disconnects the database when the process stops.
+export function createApp(config) {
+  const app = express();
+  app.locals.config = config;
+
+  // Initialize Prisma client only when needed to avoid connection issues in serverless
+  let prisma;
+  function getPrismaClient() {
+    if (!prisma) {
+      prisma = new PrismaClient(config.databaseUrl ? { datasourceUrl: config.databaseUrl } : undefined);
+    }
+    return prisma;
+  }
+
+  app.locals.close = async () => {
+    if (prisma) {
+      await prisma.$disconnect();
+    }
+  };
+
+  // Outbound Travelpayouts call budgets and usage
+  const quota = createQuotaTrackerFromConfig(getPrismaClient, config.quota);
+
+  // Travelpayouts client, created on first use; null without an API token (unless replaying)
+  let travelpayouts;
+  function getTravelpayoutsClient() {
+    if (travelpayouts === undefined) {
+      travelpayouts = hasTravelpayoutsCredentials(config.travelpayouts)
+        ? createTravelpayoutsClient(config.travelpayouts, quota)
+        : null;
+    }
+    return travelpayouts;
+  }
+
+  // Search results cache, also coalescing identical concurrent searches
+  const searchCache = createSearchCacheFromConfig(getPrismaClient, config.searchCache);
+
+  // Price check of every active tracked route (or of one) with the clients of the app;
+  // also run by server.js on its schedule
+  const priceCheck = {
+    // Throws the missing token error when the first route is checked
+    getTravelpayoutsClient: () => getTravelpayoutsClient() ?? createTravelpayoutsClient(config.travelpayouts),
+    channels: createChannels(config.notifications),
+    retry: config.notifications.retry,
+    observationWindowMinutes: config.storage.observationWindowMinutes
+  };
+  app.locals.checkPrices = routeId => fetchAndStoreTickets(routeId, getPrismaClient(), priceCheck);
+
+  // Middleware to parse JSON
+  app.use(express.json());
+
+  // Add CORS middleware
+  app.use(cors({ origin: config.corsOrigins }));
+
+  // Serve static files from the public directory
+  app.use(express.static('public', {
+    maxAge: config.staticMaxAge,
+    index: ['index.html']
+  }));
+
+  // Health check endpoint
+  app.get('/api/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      message: 'Server is running'
+    });
+  });
+
+  // Test endpoint to verify API is working
+  app.get('/api/test', (req, res) => {
+    res.json({
+      success: true,
+      message: 'API is working',
+      timestamp: new Date().toISOString(),
+      environment: config.environment
+    });
+  });
+
+  // Registration, login and API keys
+  app.use('/api/auth', createAuthRouter(getPrismaClient, { cronSecret: config.cronSecret, ...config.auth }));
+
+  // Every API route below requires a session token or an API key
+  app.use('/api', createAuthMiddleware(getPrismaClient, { cronSecret: config.cronSecret }));
+
+  // Outbound Travelpayouts API calls used and remaining
+  app.get('/api/quota', async (req, res) => {
+    try {
+      return res.json({ success: true, ...await quota.status() });
+    } catch (error) {
+      return sendServerError(res, 'Failed to load API quota', error);
+    }
+  });
+
+  // Tracked routes CRUD
+  app.use('/api/routes', createTrackedRoutesRouter(getPrismaClient));
+
+  // Stored tickets
+  app.use('/api/tickets', createTicketsRouter(getPrismaClient));
+
+  // Route price analytics
+  app.use('/api/analytics', createAnalyticsRouter(getPrismaClient));
+
+  // Exchange rates
+  app.use('/api/rates', createRatesRouter(getPrismaClient, {
+    rateProvider: createEcbProvider(config.exchangeRatesUrl ?? undefined)
+  }));
+
+  // Airport and city autocomplete, airline names
+  app.use('/api/places', createPlacesRouter(getPrismaClient));
+
+  // Itinerary price history
+  app.use('/api/itineraries', createItinerariesRouter(getPrismaClient));
+
+  // Fare alert rules
+  app.use('/api/alerts', createAlertsRouter(getPrismaClient));
+
+  // Multi-city search and stored multi-city itineraries
+  app.use('/api', createMultiCityRouter(getPrismaClient, {
+    getTravelpayoutsClient,
+    observationWindowMinutes: config.storage.observationWindowMinutes
+  }));
+
+  // Flexible-date price calendar
+  app.use('/api/price-calendar', createPriceCalendarRouter(getPrismaClient, {
+    getTravelpayoutsClient,
+    ttlMinutes: config.priceCalendarTtlMinutes
+  }));
+
+  // Manual (and cron) trigger endpoint for price check of all active tracked routes.
+  // Pass ?routeId=<id> to check a single route.
+  app.get('/api/run-price-check', requireAdmin, async (req, res) => {
+    console.log(`Manually triggered price check at ${new Date().toISOString()}`);
+
+    const { data: { routeId }, errors } = validate(priceCheckQuerySchema, req.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid routeId', errors);
+    }
+
+    try {
+      const results = await app.locals.checkPrices(routeId);
+      return res.json({ 
+        success: true, 
+        message: results.length > 0
+          ? `Price check completed for ${results.length} route(s)`
+          : 'No active tracked routes to check',
+        results,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      // Log detailed error information server-side
+      console.error('Price check failed:', error);
+      console.error('Error details:', {
+        name: error.name,
+        message: error.message,
+        stack: error.stack,
+        code: error.code
+      });
+
+      if (error instanceof TravelpayoutsHttpError) {
+        console.error('API Response error:', {
+          status: error.status,
+          statusText: error.statusText,
+          data: error.data
+        });
+      } else if (error instanceof TravelpayoutsGraphQLError) {
+        console.error('API GraphQL errors:', error.errors);
+      } else if (error instanceof QuotaExceededError) {
+        return res.status(429).json({
+          success: false,
+          error: 'API quota exceeded',
+          message: error.message
+        });
+      }
+
+      // Return a generic error message to the client in production
+      // or a more detailed one in development
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Price check failed',
+        message: config.production 
+          ? 'An unexpected error occurred' 
+          : error.message || 'Unknown error',
+        // Include a request ID to help correlate logs with specific requests
+        requestId: Date.now().toString(36) + Math.random().toString(36).substr(2)
+      });
+    }
+  });
+
+  // Ticket deduplication, compaction and retention (daily cron). Pass ?dryRun=true for a report
+  // of what would be removed without changing anything.
+  app.get('/api/run-maintenance', requireAdmin, async (req, res) => {
+    const { data: { dryRun }, errors } = validate(maintenanceQuerySchema, req.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid maintenance request', errors);
+    }
+    console.log(`${dryRun ? 'Dry run of ticket' : 'Ticket'} maintenance started at ${new Date().toISOString()}`);
+
+    try {
+      const report = await runMaintenance(getPrismaClient(), { ...config.storage, dryRun });
+      console.log('Ticket maintenance report:', report);
+      return res.json({ success: true, report, timestamp: new Date().toISOString() });
+    } catch (error) {
+      return sendServerError(res, 'Ticket maintenance failed', error);
+    }
+  });
+
+  // Search flights endpoint
+  app.post('/api/search-flights', async (req, res) => {
+    console.log(`Flight search request received at ${new Date().toISOString()}`);
+    console.log('Search parameters:', req.body);
+
+    // The search, and the filters applied to the results after they are fetched
+    // (stops, layovers, airlines, hours, duration)
+    const body = req.body || {};
+    const { data: params, errors } = validate(flightSearchSchema, body);
+    const { filters, errors: filterErrors } = parseTicketFilters(body);
+    if (errors.length > 0 || filterErrors.length > 0) {
+      return sendValidationError(res, 'Invalid flight search', [...errors, ...filterErrors]);
+    }
+    const { tripType, currency, limit: resultsLimit, displayCurrency } = params;
+
+    try {
+      // Check if API key exists
+      const travelpayouts = getTravelpayoutsClient();
+      if (!travelpayouts) {
+        console.error('❌ API key not found. Make sure the .env file contains TRAVELPAYOUTS_API_TOKEN');
+        return res.status(500).json({
+          success: false,
+          message: 'API key not configured on server'
+        });
+      }
+
+      // Search values are sent as GraphQL variables by the shared client.
+      // Fetch more results when filtering so enough are left after the filters are applied.
+      const isRoundTrip = tripType === 'round_trip';
+      const search = {
+        tripType,
+        origin: params.origin,
+        destination: params.destination,
+        departDateMin: params.departDateMin,
+        departDateMax: params.departDateMax,
+        returnDateMin: isRoundTrip ? params.returnDateMin : null,
+        returnDateMax: isRoundTrip ? params.returnDateMax : null,
+        currency,
+        noLowcost: params.noLowcost,
+        limit: filterFetchLimit(resultsLimit, filters)
+      };
+
+      // Identical searches within the cache TTL are answered without calling the API
+      const { tickets: fetchedTickets, cached, ageSeconds } = await searchCache.fetch(
+        search,
+        () => travelpayouts.search(search)
+      );
+
+      if (cached) {
+        console.log(`Using cached search results (${ageSeconds}s old)`);
+      }
+      console.log(`Found ${fetchedTickets.length} tickets in API response`);
+
+      const matchingTickets = applyTicketFilters(fetchedTickets, filters);
+      const tickets = matchingTickets.slice(0, resultsLimit);
+      if (hasTicketFilters(filters)) {
+        console.log(`${tickets.length} tickets left after applying filters:`, filters);
+      }
+
+      // Ensure all ticket links have the correct domain
+      tickets.forEach(ticket => {
+        if (ticket.ticket_link) {
+          ticket.ticket_link = normalizeTicketLink(ticket.ticket_link);
+        }
+      });
+
+      // Save a price observation for every ticket in the results. Cached results were saved when they
+      // were fetched; storing them again would record their old prices as new observations.
+      const client = getPrismaClient();
+      let observationsCount = 0;
+      let newItinerariesCount = 0;
+
+      try {
+        if (cached) {
+          const itineraryIds = await findItineraryIds(client, tickets, tripType);
+          tickets.forEach((ticket, index) => {
+            ticket.itinerary_id = itineraryIds[index];
+          });
+        } else {
+          console.log("Saving search results to database...");
+
+          for (const ticket of tickets) {
+            try {
+              console.log(`Processing ticket: ${ticket.departure_at} - ${ticket.return_at || 'one way'}, ${ticket.value} ${currency}`);
+
+              const { ticket: storedTicket, itinerary, newItinerary } = await recordTicketObservation(client, ticket, {
+                currency,
+                tripType,
+                userId: req.user.id,
+                windowMinutes: config.storage.observationWindowMinutes
+              });
+
+              console.log(`Stored ticket ${storedTicket.id} for ${newItinerary ? 'new' : 'existing'} itinerary ${itinerary.id}`);
+              ticket.itinerary_id = itinerary.id;
+              observationsCount++;
+              if (newItinerary) {
+                newItinerariesCount++;
+              }
+            } catch (ticketError) {
+              console.error('Error processing ticket:', ticketError);
+              // Continue with other tickets instead of failing the entire batch
+            }
+          }
+
+          console.log(`✅ Saved ${observationsCount} price observations to database (${newItinerariesCount} new itineraries).`);
+        }
+      } catch (dbError) {
+        console.error('Error saving tickets to database:', dbError);
+        // Continue to return results to the user even if database save fails
+      }
+
+      // Convert prices with the stored exchange rates; tickets keep their price when no rate is known
+      if (displayCurrency !== undefined) {
+        try {
+          const converter = await loadConverter(client);
+          tickets.forEach(ticket => {
+            const displayPrice = converter.convert(ticket.value, currency, displayCurrency);
+            if (displayPrice !== null) {
+              ticket.display_price = displayPrice;
+              ticket.display_currency = displayCurrency;
+            }
+          });
+        } catch (rateError) {
+          console.error('Error converting prices to display currency:', rateError);
+        }
+      }
+
+      // Names of the airlines flying the results, e.g. { "AC": "Air Canada" }
+      let airlines = {};
+      try {
+        const carriers = tickets.flatMap(ticket => parseSegments(ticket).flatMap(segment => segment.legs.map(leg => leg.carrier)));
+        airlines = Object.fromEntries(await loadAirlineNames(client, carriers));
+      } catch (airlineError) {
+        console.error('Error loading airline names:', airlineError);
+      }
+
+      // Return tickets to client
+      return res.json({
+        success: true,
+        message: cached
+          ? `Found ${tickets.length} flights (cached results, not saved again)`
+          : `Found ${tickets.length} flights (Saved ${observationsCount} price observations to database)`,
+        tripType,
+        cached,
+        ageSeconds,
+        filters,
+        filteredOut: fetchedTickets.length - matchingTickets.length,
+        tickets: tickets,
+        airlines,
+        dbStats: {
+          observations: observationsCount,
+          newItineraries: newItinerariesCount
+        }
+      });
+
+    } catch (error) {
+      // Log detailed error information server-side
+      console.error('Flight search failed:', error);
+      console.error('Error details:', {
+        name: error.name,
+        message: error.message,
+        stack: error.stack,
+        code: error.code
+      });
+
+      if (error instanceof TravelpayoutsHttpError) {
+        console.error('API Response error:', {
+          status: error.status,
+          statusText: error.statusText,
+          data: error.data
+        });
+      } else if (error instanceof TravelpayoutsGraphQLError) {
+        console.error('API GraphQL errors:', error.errors);
+      } else if (error instanceof QuotaExceededError) {
+        return res.status(429).json({
+          success: false,
+          error: 'API quota exceeded',
+          message: error.message
+        });
+      }
+
+      // Return a generic error message to the client in production
+      // or a more detailed one in development
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Flight search failed',
+        message: config.production 
+          ? 'An unexpected error occurred' 
+          : error.message || 'Unknown error',
+        // Include a request ID to help correlate logs with specific requests
+        requestId: Date.now().toString(36) + Math.random().toString(36).substr(2)
+      });
+    }
+  });
+
+  // Default route
+  app.get('/', (req, res) => {
+    try {
+      // Log the current directory and files for debugging
+      console.log('Current directory:', process.cwd());
+      console.log('Public directory exists:', fs.existsSync('./public'));
+
+      if (fs.existsSync('./public')) {
+        console.log('Files in public directory:', fs.readdirSync('./public'));
+      }
+
+      // Check if index.html exists
+      const indexPath = './public/index.html';
+      if (fs.existsSync(indexPath)) {
+        console.log('Serving index.html from public directory');
+        return res.sendFile('index.html', { root: './public' });
+      } else {
+        console.log('index.html not found, serving fallback HTML');
+        // If index.html doesn't exist, send a basic HTML response
+        return res.send(`
+          <!DOCTYPE html>
+          <html lang="en">
+          <head>
+              <meta charset="UTF-8">
+              <meta name="viewport" content="width=device-width, initial-scale=1.0">
+              <title>Flight Ticket Tracker</title>
+              <style>
+                  body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
+                  h1 { color: #333; }
+              </style>
+          </head>
+          <body>
+              <h1>Flight Ticket Tracker</h1>
+              <p>This application automatically fetches flight ticket prices.</p>
+              <p><a href="/api/health">Check API Status</a></p>
+          </body>
+          </html>
+        `);
+      }
+    } catch (error) {
+      console.error('Error serving index.html:', error);
+      res.status(500).send('Error loading page. Please try again later.');
+    }
+  });
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    // Log detailed error information
+    console.error('Unhandled error:', err);
+    console.error('Error details:', {
+      name: err.name,
+      message: err.message,
+      stack: err.stack,
+      code: err.code
+    });
+
+    // Generate a request ID to help correlate logs with specific requests
+    const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+      message: config.production ? 'An unexpected error occurred' : err.message,
+      requestId: requestId
+    });
+  });
+
+  return app;
+}
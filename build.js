@@ -100,23 +100,72 @@ const indexHtml = `<!DOCTYPE html>
             justify-content: space-between;
             margin-top: 10px;
         }
+        .heatmap {
+            border-collapse: collapse;
+            margin-top: 15px;
+            font-size: 0.85em;
+        }
+        .heatmap th, .heatmap td {
+            border: 1px solid #ddd;
+            padding: 4px 6px;
+            text-align: center;
+        }
+        .heatmap td.fare {
+            cursor: pointer;
+        }
+        .heatmap td.fare:hover {
+            outline: 2px solid #333;
+        }
     </style>
 </head>
 <body>
     <h1>Flight Ticket Tracker</h1>
     <p>This application helps you find the best flight deals.</p>
     
+    <div class="card">
+        <h2>Account</h2>
+        <p id="accountStatus">Sign in to search flights and keep your own tracked routes and alerts.</p>
+        <form id="accountForm">
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="accountEmail">Email</label>
+                    <input type="email" id="accountEmail" name="accountEmail" required>
+                </div>
+                <div class="form-group">
+                    <label for="accountPassword">Password</label>
+                    <input type="password" id="accountPassword" name="accountPassword" minlength="8" required>
+                </div>
+            </div>
+            
+            <button type="submit" id="loginButton">Sign In</button>
+            <button type="button" id="registerButton">Create Account</button>
+        </form>
+        <button type="button" id="logoutButton" style="display: none">Sign Out</button>
+    </div>
+    
     <div class="card">
         <h2>Search Flights</h2>
         <form id="searchForm">
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="tripType">Trip Type</label>
+                    <select id="tripType" name="tripType">
+                        <option value="round_trip">Round trip</option>
+                        <option value="one_way">One way</option>
+                    </select>
+                </div>
+            </div>
+            
             <div class="form-row">
                 <div class="form-group">
                     <label for="origin">Origin</label>
-                    <input type="text" id="origin" name="origin" placeholder="e.g. YUL" value="YUL" required>
+                    <input type="text" id="origin" name="origin" list="originPlaces" autocomplete="off" placeholder="City, airport or code, e.g. Montreal" value="YUL" required>
+                    <datalist id="originPlaces"></datalist>
                 </div>
                 <div class="form-group">
                     <label for="destination">Destination</label>
-                    <input type="text" id="destination" name="destination" placeholder="e.g. YVR" value="YVR" required>
+                    <input type="text" id="destination" name="destination" list="destinationPlaces" autocomplete="off" placeholder="City, airport or code, e.g. Vancouver" value="YVR" required>
+                    <datalist id="destinationPlaces"></datalist>
                 </div>
             </div>
             
@@ -131,7 +180,7 @@ const indexHtml = `<!DOCTYPE html>
                 </div>
             </div>
             
-            <div class="form-row">
+            <div class="form-row" id="returnDates">
                 <div class="form-group">
                     <label for="returnDateMin">Return Date (Earliest)</label>
                     <input type="date" id="returnDateMin" name="returnDateMin" required>
@@ -161,12 +210,74 @@ const indexHtml = `<!DOCTYPE html>
                 </div>
             </div>
             
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="maxStops">Stops</label>
+                    <select id="maxStops" name="maxStops">
+                        <option value="">Any number of stops</option>
+                        <option value="0">Direct only</option>
+                        <option value="1">Up to 1 stop</option>
+                        <option value="2">Up to 2 stops</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="noLowcost">
+                        <input type="checkbox" id="noLowcost" name="noLowcost" style="width: auto;" checked>
+                        Exclude low-cost airlines
+                    </label>
+                </div>
+            </div>
+            
             <button type="submit" id="searchButton">Search Flights</button>
         </form>
         
         <div id="searchResults" class="results"></div>
     </div>
     
+    <div class="card">
+        <h2>Price Calendar</h2>
+        <p>Cheapest round trips from the origin to the destination above for every departure day of a month. Click a fare to fill in the search dates.</p>
+        <form id="calendarForm">
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="calendarMonth">Month</label>
+                    <input type="month" id="calendarMonth" name="calendarMonth" value="2025-07" required>
+                </div>
+                <div class="form-group">
+                    <label for="calendarStay">Stay (days, e.g. 7 or 5-9)</label>
+                    <input type="text" id="calendarStay" name="calendarStay" value="5-9" required>
+                </div>
+            </div>
+            
+            <button type="submit" id="calendarButton">Show Calendar</button>
+        </form>
+        
+        <div id="calendarResults" class="results"></div>
+    </div>
+    
+    <div class="card">
+        <h2>Route History</h2>
+        <p>Prices stored for the origin and destination above: the cheapest fare of each check, with the range of fares as a band. Hover a point for details and click it to open the ticket.</p>
+        <div class="form-row">
+            <div class="form-group">
+                <label for="historyDays">Period</label>
+                <select id="historyDays" name="historyDays">
+                    <option value="30">Last 30 days</option>
+                    <option value="90" selected>Last 90 days</option>
+                    <option value="365">Last year</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="historyItineraryId">Itinerary ID</label>
+                <input type="number" id="historyItineraryId" name="historyItineraryId" min="1" placeholder="e.g. 42">
+            </div>
+        </div>
+        <button type="button" id="routeHistoryButton">Show Route History</button>
+        <button type="button" id="itineraryHistoryButton">Show Itinerary History</button>
+        
+        <div id="historyResults" class="results"></div>
+    </div>
+    
     <div class="card">
         <h2>API Status</h2>
         <button onclick="testApi('/api/health')">Test Health</button>
@@ -175,6 +286,87 @@ const indexHtml = `<!DOCTYPE html>
     </div>
     
     <script>
+        // Session token from /api/auth/login, sent with every API request
+        function authHeaders(headers = {}) {
+            const token = localStorage.getItem('authToken');
+            return token ? { ...headers, 'Authorization': \`Bearer \${token}\` } : headers;
+        }
+        
+        function showAccount(user) {
+            document.getElementById('accountStatus').textContent = user
+                ? \`Signed in as \${user.email}\${user.role === 'admin' ? ' (admin)' : ''}\`
+                : 'Sign in to search flights and keep your own tracked routes and alerts.';
+            document.getElementById('accountForm').style.display = user ? 'none' : '';
+            document.getElementById('logoutButton').style.display = user ? '' : 'none';
+        }
+        
+        async function loadAccount() {
+            if (!localStorage.getItem('authToken')) {
+                showAccount(null);
+                return;
+            }
+            const response = await fetch('/api/auth/me', { headers: authHeaders() });
+            if (response.ok) {
+                showAccount((await response.json()).user);
+            } else {
+                localStorage.removeItem('authToken');
+                showAccount(null);
+            }
+        }
+        
+        async function submitAccount(endpoint) {
+            const status = document.getElementById('accountStatus');
+            const credentials = {
+                email: document.getElementById('accountEmail').value,
+                password: document.getElementById('accountPassword').value
+            };
+            
+            try {
+                let response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(credentials)
+                });
+                // A new account still has to sign in to get a session
+                if (response.ok && endpoint === '/api/auth/register') {
+                    response = await fetch('/api/auth/login', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify(credentials)
+                    });
+                }
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.errors ? data.errors.map(error => error.message).join(', ') : data.message);
+                }
+                
+                localStorage.setItem('authToken', data.token);
+                document.getElementById('accountPassword').value = '';
+                showAccount(data.user);
+            } catch (error) {
+                status.innerHTML = \`<span style="color: red">\${error.message}</span>\`;
+            }
+        }
+        
+        document.getElementById('accountForm').addEventListener('submit', function(e) {
+            e.preventDefault();
+            submitAccount('/api/auth/login');
+        });
+        
+        document.getElementById('registerButton').addEventListener('click', function() {
+            if (document.getElementById('accountForm').reportValidity()) {
+                submitAccount('/api/auth/register');
+            }
+        });
+        
+        document.getElementById('logoutButton').addEventListener('click', async function() {
+            await fetch('/api/auth/logout', { method: 'POST', headers: authHeaders() });
+            localStorage.removeItem('authToken');
+            showAccount(null);
+        });
+        
+        loadAccount();
+        
         // Set default dates
         document.addEventListener('DOMContentLoaded', function() {
             // Set specific dates
@@ -184,6 +376,47 @@ const indexHtml = `<!DOCTYPE html>
             document.getElementById('returnDateMax').value = "2025-08-11";
         });
         
+        // Suggest airports and cities from /api/places while typing; a city code such as YMQ
+        // searches every airport of the metro area (YUL and YHU)
+        function attachPlaceAutocomplete(inputId, listId) {
+            const input = document.getElementById(inputId);
+            const list = document.getElementById(listId);
+            let timer;
+            input.addEventListener('input', function() {
+                clearTimeout(timer);
+                const query = input.value.trim();
+                if (query.length < 2) return;
+                timer = setTimeout(async () => {
+                    try {
+                        const response = await fetch(\`/api/places?q=\${encodeURIComponent(query)}\`, { headers: authHeaders() });
+                        const data = await response.json();
+                        if (!data.success) return;
+                        list.innerHTML = '';
+                        data.places.forEach(place => {
+                            const option = document.createElement('option');
+                            option.value = place.code;
+                            option.label = place.type === 'city'
+                                ? \`\${place.name} (all airports: \${place.airports.join(', ')})\`
+                                : \`\${place.name}\${place.city ? ', ' + place.city : ''}\`;
+                            list.appendChild(option);
+                        });
+                    } catch (error) {
+                        console.error('Place autocomplete failed:', error);
+                    }
+                }, 200);
+            });
+        }
+        attachPlaceAutocomplete('origin', 'originPlaces');
+        attachPlaceAutocomplete('destination', 'destinationPlaces');
+        
+        // Hide the return dates for one-way searches
+        document.getElementById('tripType').addEventListener('change', function() {
+            const isRoundTrip = this.value === 'round_trip';
+            document.getElementById('returnDates').style.display = isRoundTrip ? '' : 'none';
+            document.getElementById('returnDateMin').required = isRoundTrip;
+            document.getElementById('returnDateMax').required = isRoundTrip;
+        });
+        
         function formatDate(date) {
             const year = date.getFullYear();
             const month = String(date.getMonth() + 1).padStart(2, '0');
@@ -203,23 +436,28 @@ const indexHtml = `<!DOCTYPE html>
             resultsDiv.innerHTML = '<p>Searching for flights...</p>';
             
             // Get form values
+            const tripType = document.getElementById('tripType').value;
             const formData = {
+                tripType: tripType,
                 origin: document.getElementById('origin').value,
                 destination: document.getElementById('destination').value,
                 departDateMin: document.getElementById('departDateMin').value,
                 departDateMax: document.getElementById('departDateMax').value,
-                returnDateMin: document.getElementById('returnDateMin').value,
-                returnDateMax: document.getElementById('returnDateMax').value,
+                returnDateMin: tripType === 'round_trip' ? document.getElementById('returnDateMin').value : undefined,
+                returnDateMax: tripType === 'round_trip' ? document.getElementById('returnDateMax').value : undefined,
                 currency: document.getElementById('currency').value,
-                limit: document.getElementById('limit').value
+                limit: document.getElementById('limit').value,
+                noLowcost: document.getElementById('noLowcost').checked,
+                maxStops: document.getElementById('maxStops').value || undefined,
+                displayCurrency: 'usd'
             };
             
             try {
                 const response = await fetch('/api/search-flights', {
                     method: 'POST',
-                    headers: {
+                    headers: authHeaders({
                         'Content-Type': 'application/json'
-                    },
+                    }),
                     body: JSON.stringify(formData)
                 });
                 
@@ -232,12 +470,16 @@ const indexHtml = `<!DOCTYPE html>
                 
                 if (data.success) {
                     if (data.tickets && data.tickets.length > 0) {
-                        displayTickets(data.tickets, formData.currency);
+                        displayTickets(data.tickets, formData.currency, data.airlines || {});
+                        if (data.cached) {
+                            resultsDiv.querySelector('h3').insertAdjacentHTML('afterend', \`<p><em>Cached results from \${data.ageSeconds}s ago</em></p>\`);
+                        }
                     } else {
                         resultsDiv.innerHTML = '<p>No flights found for your search criteria.</p>';
                     }
                 } else {
-                    resultsDiv.innerHTML = \`<p style="color: red">❌ Error: \${data.message || 'Unknown error'}</p>\`;
+                    const details = data.errors ? \`: \${data.errors.map(error => error.message).join(', ')}\` : '';
+                    resultsDiv.innerHTML = \`<p style="color: red">❌ Error: \${data.message || 'Unknown error'}\${details}</p>\`;
                     console.error('API error details:', data);
                 }
             } catch (error) {
@@ -249,7 +491,7 @@ const indexHtml = `<!DOCTYPE html>
             searchButton.textContent = 'Search Flights';
         });
         
-        function displayTickets(tickets, currency) {
+        function displayTickets(tickets, currency, airlines = {}) {
             const resultsDiv = document.getElementById('searchResults');
             resultsDiv.innerHTML = \`<h3>Found \${tickets.length} flights</h3>\`;
             
@@ -257,29 +499,32 @@ const indexHtml = `<!DOCTYPE html>
             
             tickets.forEach(ticket => {
                 const departDate = new Date(ticket.departure_at);
-                const returnDate = new Date(ticket.return_at);
                 
                 // Ensure ticket_link is properly formatted
                 const ticketUrl = ticket.ticket_link.startsWith('http') 
                     ? ticket.ticket_link 
                     : \`https://www.aviasales.com/search\${ticket.ticket_link}\`;
                 
-                // Calculate USD price if not already in USD
-                let usdPrice = ticket.value;
+                // USD price converted on the server with the stored exchange rates
                 let usdDisplay = '';
-                
-                if (currency.toLowerCase() !== 'usd') {
-                    // Approximate conversion rates
-                    const conversionRates = {
-                        'cad': 0.74, // 1 CAD = 0.74 USD
-                        'eur': 1.09  // 1 EUR = 1.09 USD
-                    };
-                    
-                    const rate = conversionRates[currency.toLowerCase()] || 1;
-                    usdPrice = Math.round(ticket.value * rate);
-                    usdDisplay = \`<div class="price-usd">≈ $\${usdPrice} USD</div>\`;
+                if (ticket.display_price !== undefined && currency.toLowerCase() !== 'usd') {
+                    usdDisplay = \`<div class="price-usd">≈ $\${Math.round(ticket.display_price)} USD</div>\`;
                 }
                 
+                // One-way tickets have no return_at and a single segment
+                const returnHtml = ticket.return_at
+                    ? \`
+                            <div>
+                                <strong>Return:</strong> \${formatDateForDisplay(new Date(ticket.return_at))}<br>
+                                <span>\${describeSegment(ticket.segments[1], airlines)}</span>
+                            </div>\`
+                    : '<div><strong>One way</strong></div>';
+                
+                // Stored tickets link to the price history of their itinerary
+                const historyLink = ticket.itinerary_id
+                    ? \` · <a href="#" onclick="showItineraryHistory(\${ticket.itinerary_id}); return false;">Price history</a>\`
+                    : '';
+                
                 const ticketHtml = \`
                     <div class="ticket">
                         <div class="price">\${currencySymbol}\${ticket.value} \${currency.toUpperCase()}</div>
@@ -287,15 +532,11 @@ const indexHtml = `<!DOCTYPE html>
                         <div class="flight-info">
                             <div>
                                 <strong>Outbound:</strong> \${formatDateForDisplay(departDate)}<br>
-                                <span>\${ticket.segments[0]?.flight_legs[0]?.flight_number || 'N/A'}</span>
-                            </div>
-                            <div>
-                                <strong>Return:</strong> \${formatDateForDisplay(returnDate)}<br>
-                                <span>\${ticket.segments[1]?.flight_legs[0]?.flight_number || 'N/A'}</span>
-                            </div>
+                                <span>\${describeSegment(ticket.segments[0], airlines)}</span>
+                            </div>\${returnHtml}
                         </div>
                         <div style="margin-top: 10px;">
-                            <a href="\${ticketUrl}" target="_blank" rel="noopener">View on Aviasales</a>
+                            <a href="\${ticketUrl}" target="_blank" rel="noopener">View on Aviasales</a>\${historyLink}
                         </div>
                     </div>
                 \`;
@@ -304,6 +545,234 @@ const indexHtml = `<!DOCTYPE html>
             });
         }
         
+        // Airline names and flight numbers of every leg plus the stops,
+        // e.g. "Air Canada: AC301 + AC113 (1 stop: YYZ)"; airlines maps carrier codes to names
+        function describeSegment(segment, airlines = {}) {
+            const legs = segment?.flight_legs || [];
+            if (legs.length === 0) return 'N/A';
+            
+            const carriers = [...new Set(legs.map(leg => (leg.flight_number || '').substring(0, 2).toUpperCase()))];
+            const names = carriers.map(carrier => airlines[carrier]).filter(Boolean);
+            const flights = (names.length > 0 ? names.join(' / ') + ': ' : '') + legs.map(leg => leg.flight_number).join(' + ');
+            if (legs.length === 1) return \`\${flights} (direct)\`;
+            
+            const stops = legs.slice(1).map(leg => leg.origin).join(', ');
+            return \`\${flights} (\${legs.length - 1} stop\${legs.length > 2 ? 's' : ''}: \${stops})\`;
+        }
+        
+        // Load the price calendar for the origin, destination and currency of the search form
+        document.getElementById('calendarForm').addEventListener('submit', async function(e) {
+            e.preventDefault();
+            
+            const calendarButton = document.getElementById('calendarButton');
+            const resultsDiv = document.getElementById('calendarResults');
+            
+            calendarButton.disabled = true;
+            calendarButton.textContent = 'Loading...';
+            resultsDiv.innerHTML = '<p>Loading fares for the month...</p>';
+            
+            const params = new URLSearchParams({
+                origin: document.getElementById('origin').value,
+                destination: document.getElementById('destination').value,
+                month: document.getElementById('calendarMonth').value,
+                stay: document.getElementById('calendarStay').value,
+                currency: document.getElementById('currency').value
+            });
+            
+            try {
+                const response = await fetch(\`/api/price-calendar?\${params}\`, { headers: authHeaders() });
+                const data = await response.json();
+                
+                if (data.success) {
+                    displayCalendar(data);
+                } else {
+                    const details = data.errors ? \`: \${data.errors.map(error => error.message).join(', ')}\` : '';
+                    resultsDiv.innerHTML = \`<p style="color: red">❌ Error: \${data.message || 'Unknown error'}\${details}</p>\`;
+                    console.error('API error details:', data);
+                }
+            } catch (error) {
+                resultsDiv.innerHTML = \`<p style="color: red">❌ Calendar failed: \${error.message}</p>\`;
+                console.error('Request error:', error);
+            }
+            
+            calendarButton.disabled = false;
+            calendarButton.textContent = 'Show Calendar';
+        });
+        
+        // Green for the cheapest fare of the month through red for the most expensive
+        function heatColor(price, minPrice, maxPrice) {
+            const ratio = maxPrice > minPrice ? (price - minPrice) / (maxPrice - minPrice) : 0;
+            return \`hsl(\${Math.round(120 * (1 - ratio))}, 70%, 75%)\`;
+        }
+        
+        function displayCalendar(calendar) {
+            const resultsDiv = document.getElementById('calendarResults');
+            
+            if (calendar.minPrice === null) {
+                resultsDiv.innerHTML = '<p>No fares found for this month.</p>';
+                return;
+            }
+            
+            const currencySymbol = getCurrencySymbol(calendar.currency);
+            const header = calendar.stays.map(stay => \`<th>\${stay}d</th>\`).join('');
+            const rows = calendar.departDates.map((departDate, row) => {
+                const cells = calendar.matrix[row].map(cell => cell
+                    ? \`<td class="fare" style="background-color: \${heatColor(cell.price, calendar.minPrice, calendar.maxPrice)}"
+                          data-depart="\${cell.departDate}" data-return="\${cell.returnDate}"
+                          title="\${cell.departDate} → \${cell.returnDate}">\${currencySymbol}\${cell.price}</td>\`
+                    : '<td>–</td>').join('');
+                return \`<tr><th>\${departDate}</th>\${cells}</tr>\`;
+            }).join('');
+            
+            resultsDiv.innerHTML = \`
+                <p>\${calendar.origin} → \${calendar.destination}, from \${currencySymbol}\${calendar.minPrice}\${calendar.cached ? ' (cached)' : ''}</p>
+                <table class="heatmap">
+                    <tr><th>Departure / Stay</th>\${header}</tr>
+                    \${rows}
+                </table>
+            \`;
+            
+            resultsDiv.querySelectorAll('td.fare').forEach(cell => {
+                cell.addEventListener('click', () => fillSearchDates(cell.dataset.depart, cell.dataset.return));
+            });
+        }
+        
+        // Fill the search form with the exact dates of a calendar fare
+        function fillSearchDates(departDate, returnDate) {
+            const tripType = document.getElementById('tripType');
+            tripType.value = 'round_trip';
+            tripType.dispatchEvent(new Event('change'));
+            
+            document.getElementById('departDateMin').value = departDate;
+            document.getElementById('departDateMax').value = departDate;
+            document.getElementById('returnDateMin').value = returnDate;
+            document.getElementById('returnDateMax').value = returnDate;
+            document.getElementById('searchForm').scrollIntoView({ behavior: 'smooth' });
+        }
+        
+        // Price history of a route (cheapest fare per check with the min–max band) or of one itinerary
+        async function loadHistory(url, title) {
+            const resultsDiv = document.getElementById('historyResults');
+            resultsDiv.innerHTML = '<p>Loading price history...</p>';
+            
+            try {
+                const response = await fetch(url, { headers: authHeaders() });
+                const data = await response.json();
+                
+                if (!data.success) {
+                    const details = data.errors ? \`: \${data.errors.map(error => error.message).join(', ')}\` : '';
+                    resultsDiv.innerHTML = \`<p style="color: red">❌ Error: \${data.message || 'Unknown error'}\${details}</p>\`;
+                    console.error('API error details:', data);
+                    return;
+                }
+                
+                // Route history has a band per check; itinerary history has one price per observation,
+                // with the day's range on compacted days
+                const points = data.itinerary
+                    ? data.history.map(point => ({
+                        time: new Date(point.observedAt),
+                        price: point.price,
+                        ...(point.daily ? { min: point.price, max: point.daily.maxPrice, observations: point.daily.observations } : {}),
+                        link: point.ticketLink,
+                        currency: point.currency
+                    }))
+                    : data.history.map(check => ({
+                        time: new Date(check.checkedAt),
+                        price: check.minPrice,
+                        min: check.minPrice,
+                        max: check.maxPrice,
+                        observations: check.observations,
+                        link: check.ticketLink,
+                        currency: data.currency
+                    }));
+                
+                if (points.length === 0) {
+                    resultsDiv.innerHTML = '<p>No stored prices yet.</p>';
+                    return;
+                }
+                
+                resultsDiv.innerHTML = \`<h3>\${title}</h3>\${drawPriceChart(points)}\`;
+            } catch (error) {
+                resultsDiv.innerHTML = \`<p style="color: red">❌ Loading history failed: \${error.message}</p>\`;
+                console.error('Request error:', error);
+            }
+        }
+        
+        document.getElementById('routeHistoryButton').addEventListener('click', function() {
+            const origin = document.getElementById('origin').value.toUpperCase();
+            const destination = document.getElementById('destination').value.toUpperCase();
+            const params = new URLSearchParams({
+                currency: document.getElementById('currency').value,
+                days: document.getElementById('historyDays').value
+            });
+            loadHistory(\`/api/analytics/routes/\${origin}-\${destination}/history?\${params}\`, \`\${origin} → \${destination}\`);
+        });
+        
+        document.getElementById('itineraryHistoryButton').addEventListener('click', function() {
+            showItineraryHistory(document.getElementById('historyItineraryId').value);
+        });
+        
+        function showItineraryHistory(itineraryId) {
+            document.getElementById('historyItineraryId').value = itineraryId;
+            loadHistory(\`/api/itineraries/\${itineraryId}/history\`, \`Itinerary #\${itineraryId}\`);
+            document.getElementById('historyResults').scrollIntoView({ behavior: 'smooth' });
+        }
+        
+        // Inline SVG line chart: price line, optional min–max band, and a linked point per check
+        function drawPriceChart(points) {
+            const width = 740, height = 260;
+            const pad = { top: 15, right: 15, bottom: 30, left: 55 };
+            
+            const times = points.map(point => point.time.getTime());
+            const values = points.flatMap(point => [point.price, point.min ?? point.price, point.max ?? point.price]);
+            const minTime = Math.min(...times), maxTime = Math.max(...times);
+            const minValue = Math.min(...values), maxValue = Math.max(...values);
+            const valueMargin = Math.max((maxValue - minValue) * 0.1, 1);
+            const low = Math.max(minValue - valueMargin, 0), high = maxValue + valueMargin;
+            
+            const x = time => pad.left + (maxTime > minTime ? (time - minTime) / (maxTime - minTime) : 0.5) * (width - pad.left - pad.right);
+            const y = value => pad.top + (1 - (value - low) / (high - low)) * (height - pad.top - pad.bottom);
+            
+            let svg = \`<svg viewBox="0 0 \${width} \${height}" width="100%" style="background-color: white; border: 1px solid #ddd; border-radius: 4px;">\`;
+            
+            // Horizontal grid with price labels
+            for (let i = 0; i <= 4; i++) {
+                const value = low + (high - low) * i / 4;
+                svg += \`<line x1="\${pad.left}" x2="\${width - pad.right}" y1="\${y(value)}" y2="\${y(value)}" stroke="#eee"/>\`;
+                svg += \`<text x="\${pad.left - 5}" y="\${y(value) + 4}" font-size="11" text-anchor="end" fill="#666">\${Math.round(value)}</text>\`;
+            }
+            svg += \`<text x="\${pad.left}" y="\${height - 8}" font-size="11" fill="#666">\${formatDateForDisplay(points[0].time)}</text>\`;
+            svg += \`<text x="\${width - pad.right}" y="\${height - 8}" font-size="11" text-anchor="end" fill="#666">\${formatDateForDisplay(points[points.length - 1].time)}</text>\`;
+            
+            if (points.every(point => point.max !== undefined)) {
+                const upper = points.map(point => \`\${x(point.time.getTime())},\${y(point.max)}\`);
+                const lower = points.map(point => \`\${x(point.time.getTime())},\${y(point.min)}\`).reverse();
+                svg += \`<polygon points="\${upper.concat(lower).join(' ')}" fill="#4CAF50" fill-opacity="0.15"/>\`;
+            }
+            
+            const line = points.map(point => \`\${x(point.time.getTime())},\${y(point.price)}\`).join(' ');
+            svg += \`<polyline points="\${line}" fill="none" stroke="#4CAF50" stroke-width="2"/>\`;
+            
+            points.forEach(point => {
+                const currencySymbol = getCurrencySymbol(point.currency);
+                const range = point.max !== undefined
+                    ? \`\\nRange: \${currencySymbol}\${point.min} – \${currencySymbol}\${point.max} (\${point.observations} fares)\`
+                    : '';
+                const details = \`\${point.time.toLocaleString()}\\nLowest: \${currencySymbol}\${point.price} \${point.currency.toUpperCase()}\${range}\${point.link ? '\\nClick to open on Aviasales' : ''}\`;
+                const circle = \`<circle cx="\${x(point.time.getTime())}" cy="\${y(point.price)}" r="4" fill="#4CAF50" stroke="white">
+                        <title>\${details}</title>
+                    </circle>\`;
+                // Compacted days whose tickets were removed by the retention have no link
+                svg += point.link
+                    ? \`<a href="\${point.link}" target="_blank" rel="noopener">
+                    \${circle}
+                </a>\`
+                    : circle;
+            });
+            
+            return svg + '</svg>';
+        }
+        
         function formatDateForDisplay(date) {
             const options = { weekday: 'short', month: 'short', day: 'numeric' };
             return date.toLocaleDateString('en-US', options);
@@ -323,7 +792,7 @@ const indexHtml = `<!DOCTYPE html>
             status.innerHTML = \`<p>Testing \${endpoint}...</p>\`;
             
             try {
-                const response = await fetch(endpoint);
+                const response = await fetch(endpoint, { headers: authHeaders() });
                 const data = await response.json();
                 status.innerHTML = \`
                     <p style="color: green">✅ API is working</p>
@@ -0,0 +1,577 @@
+#!/usr/bin/env node
+// Command-line interface built on the same modules as the HTTP API, for scripting from cron and CI.
+// Run `flight-tracker help` (or `npm run cli -- help`) for the commands.
+import { parseArgs } from 'util';
+import fs from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import dotenv from 'dotenv';
+import { PrismaClient } from '@prisma/client';
+import {
+  fetchAndStoreTickets,
+  recordTicketObservation,
+  findItineraryIds,
+  normalizeTicketLink,
+  parseTicketFilters,
+  applyTicketFilters,
+  filterFetchLimit,
+  getTravelpayoutsClient,
+  createSearchCacheFromEnv,
+  parseTicketQuery,
+  queryTickets,
+  exportTickets,
+  EXPORT_FORMATS,
+  runMaintenance,
+  getMaintenanceConfigFromEnv,
+  parseSegments,
+  flightChain,
+  TICKET_SORT_KEYS,
+  validate,
+  trackedRouteSchema,
+  flightSearchSchema,
+  placeQuerySchema,
+  placeImportQuerySchema,
+  searchPlaces,
+  importPlaces,
+  importPlacesDirectory
+} from './dist/index.js';
+import { clearOneWayReturnDates } from './routes/trackedRoutes.js';
+import { parseId } from './routes/utils.js';
+
+dotenv.config();
+
+// Progress messages of the shared modules go to stderr so that stdout only carries
+// the command's output and `--json` can be piped into other tools
+console.log = console.error;
+console.info = console.error;
+
+const USAGE = `Usage: flight-tracker <command> [options]
+
+Commands:
+  routes list [--active]                 List tracked routes
+  routes add --from YUL --to YVR --depart 2025-07-25..29 [--return 2025-08-07..11]
+             [--one-way] [--currency cad] [--limit 5] [--low-cost]
+                                         Track a route
+  routes remove <id>                     Stop tracking a route (its tickets are kept)
+  check [--route <id>]                   Run the price check for all active routes or one route
+  search --from YUL --to YVR --depart 2025-07-25..29 [--return 2025-08-07..11]
+         [--one-way] [--currency cad] [--limit 5] [--low-cost] [--max-stops 1]
+         [--airlines AC,WS] [--exclude-airlines F8] [--max-segment-duration 600] [--save]
+                                         Search flights; --save stores the results like the web search
+  tickets list [ticket filters] [--limit 20] [--cursor <id>]
+                                         List stored tickets
+  export [ticket filters] [--format json|csv|jsonl|ics] [--output file]
+                                         Write every stored ticket matching the filters (JSON by default)
+  places search <text> [--limit 10]     Find airports and cities by code, name or city
+  places import [--dataset airports|cities|airlines <file>]
+                                         Import a reference CSV file, or the bundled data/places files
+  maintenance [--dry-run]                Deduplicate, compact and apply retention to stored tickets
+
+Ticket filters:
+  --from, --to, --trip-type, --currency, --depart <range>, --return <range>, --min-price,
+  --max-price, --airline, --route <id>, --itinerary <id>, --sort (${TICKET_SORT_KEYS.join('|')}),
+  --display-currency
+
+Dates are YYYY-MM-DD; a range is written 2025-07-25..29, 2025-07-25..08-02 or 2025-07-25..2025-08-02.
+
+Global options:
+  --json        Print JSON instead of a table
+  -h, --help    Show this help`;
+
+// Invalid command line; reported with the usage and exit code 2
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+let prisma;
+function getPrismaClient() {
+  if (!prisma) {
+    prisma = new PrismaClient();
+  }
+  return prisma;
+}
+
+function print(text) {
+  process.stdout.write(`${text}\n`);
+}
+
+function printJson(data) {
+  print(JSON.stringify(data, null, 2));
+}
+
+// Print rows as a table with a header; columns are [header, value(row)] pairs
+function printTable(rows, columns) {
+  if (rows.length === 0) {
+    print('No results');
+    return;
+  }
+  const cells = rows.map(row => columns.map(([, value]) => {
+    const cell = value(row);
+    return cell === null || cell === undefined ? '' : String(cell);
+  }));
+  const widths = columns.map(([header], index) =>
+    Math.max(header.length, ...cells.map(row => row[index].length))
+  );
+  const line = row => row.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd();
+  print(line(columns.map(([header]) => header)));
+  print(line(widths.map(width => '-'.repeat(width))));
+  cells.forEach(row => print(line(row)));
+}
+
+// "2025-07-25", "2025-07-25..29", "2025-07-25..08-02" or "2025-07-25..2025-08-02" -> [min, max]
+function parseDateRange(value, option) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})(?:\.\.(?:(?:(\d{4})-)?(\d{2})-)?(\d{2}))?$/.exec(value);
+  if (!match) {
+    throw new UsageError(`--${option} must be a date or a date range like 2025-07-25..29`);
+  }
+  const [, year, month, day, endYear, endMonth, endDay] = match;
+  const min = `${year}-${month}-${day}`;
+  const max = endDay ? `${endYear || year}-${endMonth || month}-${endDay}` : min;
+  return [min, max];
+}
+
+function requireOption(values, option) {
+  if (values[option] === undefined) {
+    throw new UsageError(`--${option} is required`);
+  }
+  return values[option];
+}
+
+function requireId(value, name) {
+  const id = parseId(value);
+  if (!id) {
+    throw new UsageError(`${name} must be a positive integer`);
+  }
+  return id;
+}
+
+// Report the field errors of a schema validation as a usage error
+function checkErrors(message, errors) {
+  if (errors.length > 0) {
+    throw new UsageError(`${message}: ${errors.map(error => error.message).join('; ')}`);
+  }
+}
+
+// Options shared by `routes add` and `search`
+const FLIGHT_OPTIONS = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  depart: { type: 'string' },
+  return: { type: 'string' },
+  'one-way': { type: 'boolean' },
+  currency: { type: 'string' },
+  limit: { type: 'string' },
+  'low-cost': { type: 'boolean' }
+};
+
+// Route-style payload (the body of POST /api/routes) from the flight options
+function flightPayload(values) {
+  const tripType = values['one-way'] ? 'one_way' : 'round_trip';
+  const [departDateMin, departDateMax] = parseDateRange(requireOption(values, 'depart'), 'depart');
+  const payload = {
+    tripType,
+    origin: requireOption(values, 'from'),
+    destination: requireOption(values, 'to'),
+    departDateMin,
+    departDateMax,
+    currency: values.currency,
+    limit: values.limit,
+    noLowcost: values['low-cost'] ? false : undefined
+  };
+  if (tripType === 'round_trip') {
+    [payload.returnDateMin, payload.returnDateMax] = parseDateRange(requireOption(values, 'return'), 'return');
+  }
+  return payload;
+}
+
+// Options shared by `tickets list` and `export`, mapped to the parameters of GET /api/tickets
+const TICKET_QUERY_OPTIONS = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  'trip-type': { type: 'string' },
+  currency: { type: 'string' },
+  depart: { type: 'string' },
+  return: { type: 'string' },
+  'min-price': { type: 'string' },
+  'max-price': { type: 'string' },
+  airline: { type: 'string' },
+  route: { type: 'string' },
+  itinerary: { type: 'string' },
+  sort: { type: 'string' },
+  'display-currency': { type: 'string' }
+};
+
+function ticketQueryInput(values) {
+  const input = {
+    origin: values.from,
+    destination: values.to,
+    tripType: values['trip-type'],
+    currency: values.currency,
+    minPrice: values['min-price'],
+    maxPrice: values['max-price'],
+    airline: values.airline,
+    routeId: values.route,
+    itineraryId: values.itinerary,
+    sort: values.sort,
+    displayCurrency: values['display-currency'],
+    limit: values.limit,
+    cursor: values.cursor
+  };
+  if (values.depart !== undefined) {
+    [input.departFrom, input.departTo] = parseDateRange(values.depart, 'depart');
+  }
+  if (values.return !== undefined) {
+    [input.returnFrom, input.returnTo] = parseDateRange(values.return, 'return');
+  }
+  return input;
+}
+
+const TICKET_COLUMNS = [
+  ['ID', ticket => ticket.id],
+  ['ROUTE', ticket => `${ticket.origin}-${ticket.destination}`],
+  ['DEPART', ticket => ticket.departureAt.substring(0, 16).replace('T', ' ')],
+  ['RETURN', ticket => ticket.returnAt?.substring(0, 16).replace('T', ' ')],
+  ['PRICE', ticket => `${ticket.price} ${ticket.currency.toUpperCase()}`],
+  ['AIRLINE', ticket => ticket.outboundAirlineName || ticket.outboundAirline],
+  ['FLIGHTS', ticket => [ticket.outboundFlight, ticket.returnFlight].filter(Boolean).join(' / ')],
+  ['STOPS', ticket => [ticket.outboundStops, ticket.returnStops].filter(stops => stops !== null).join(' / ')],
+  ['ITINERARY', ticket => ticket.itineraryId]
+];
+
+const ROUTE_COLUMNS = [
+  ['ID', route => route.id],
+  ['ROUTE', route => `${route.origin}-${route.destination}`],
+  ['TRIP', route => route.tripType],
+  ['DEPART', route => `${route.departDateMin}..${route.departDateMax}`],
+  ['RETURN', route => route.returnDateMin && `${route.returnDateMin}..${route.returnDateMax}`],
+  ['CURRENCY', route => route.currency.toUpperCase()],
+  ['LIMIT', route => route.limit],
+  ['ACTIVE', route => route.active ? 'yes' : 'no'],
+  ['LAST CHECKED', route => route.lastCheckedAt?.toISOString()]
+];
+
+const COMMANDS = {
+  'routes list': {
+    options: { active: { type: 'boolean' } },
+    async run({ values }) {
+      const routes = await getPrismaClient().trackedRoute.findMany({
+        where: values.active ? { active: true } : {},
+        orderBy: { id: 'asc' }
+      });
+      return values.json ? printJson(routes) : printTable(routes, ROUTE_COLUMNS);
+    }
+  },
+
+  'routes add': {
+    options: FLIGHT_OPTIONS,
+    async run({ values }) {
+      const { data, errors } = validate(trackedRouteSchema, flightPayload(values));
+      checkErrors('Invalid tracked route', errors);
+      clearOneWayReturnDates(data, data);
+
+      const route = await getPrismaClient().trackedRoute.create({ data });
+      return values.json ? printJson(route) : printTable([route], ROUTE_COLUMNS);
+    }
+  },
+
+  'routes remove': {
+    options: {},
+    async run({ values, positionals }) {
+      const id = requireId(positionals[0], 'Route id');
+      const client = getPrismaClient();
+      const existing = await client.trackedRoute.findUnique({ where: { id } });
+      if (!existing) {
+        throw new Error(`Tracked route ${id} not found`);
+      }
+      await client.trackedRoute.delete({ where: { id } });
+      return values.json ? printJson({ deleted: id }) : print(`Tracked route ${id} deleted`);
+    }
+  },
+
+  check: {
+    options: { route: { type: 'string' } },
+    async run({ values }) {
+      const routeId = values.route !== undefined ? requireId(values.route, '--route') : undefined;
+      const results = await fetchAndStoreTickets(routeId);
+
+      if (values.json) {
+        printJson(results);
+      } else {
+        printTable(results, [
+          ['ROUTE ID', result => result.routeId],
+          ['ROUTE', result => result.route],
+          ['STATUS', result => result.success ? 'ok' : 'failed'],
+          ['TICKETS', result => result.ticketsFound],
+          ['OBSERVATIONS', result => result.observations],
+          ['NEW ITINERARIES', result => result.newItineraries],
+          ['ALERTS', result => result.alertsFired],
+          ['ERROR', result => result.error]
+        ]);
+      }
+
+      // A failed route fails the command so cron and CI notice it
+      return results.every(result => result.success) ? 0 : 1;
+    }
+  },
+
+  search: {
+    options: {
+      ...FLIGHT_OPTIONS,
+      'max-stops': { type: 'string' },
+      airlines: { type: 'string' },
+      'exclude-airlines': { type: 'string' },
+      'max-segment-duration': { type: 'string' },
+      save: { type: 'boolean' }
+    },
+    async run({ values }) {
+      const { data, errors } = validate(flightSearchSchema, flightPayload(values));
+      const { filters, errors: filterErrors } = parseTicketFilters({
+        maxStops: values['max-stops'],
+        includeAirlines: values.airlines,
+        excludeAirlines: values['exclude-airlines'],
+        maxSegmentDurationMinutes: values['max-segment-duration']
+      });
+      checkErrors('Invalid search', [...errors, ...filterErrors]);
+
+      // Same defaults as POST /api/search-flights
+      const { limit: resultsLimit, ...params } = data;
+      const search = {
+        ...params,
+        returnDateMin: params.returnDateMin ?? null,
+        returnDateMax: params.returnDateMax ?? null,
+        limit: filterFetchLimit(resultsLimit, filters)
+      };
+
+      const searchCache = createSearchCacheFromEnv(getPrismaClient);
+      const { tickets: fetchedTickets, cached } = await searchCache.fetch(search, () => getTravelpayoutsClient().search(search));
+      const tickets = applyTicketFilters(fetchedTickets, filters).slice(0, resultsLimit);
+      tickets.forEach(ticket => {
+        ticket.ticket_link = normalizeTicketLink(ticket.ticket_link);
+      });
+
+      // Cached results were stored when they were fetched and are not observed again
+      if (values.save && cached) {
+        const itineraryIds = await findItineraryIds(getPrismaClient(), tickets, search.tripType);
+        tickets.forEach((ticket, index) => {
+          ticket.itinerary_id = itineraryIds[index];
+        });
+        console.error('Results came from the search cache and were not stored again');
+      } else if (values.save) {
+        for (const ticket of tickets) {
+          const { itinerary } = await recordTicketObservation(getPrismaClient(), ticket, {
+            currency: search.currency,
+            tripType: search.tripType
+          });
+          ticket.itinerary_id = itinerary.id;
+        }
+      }
+
+      if (values.json) {
+        return printJson(tickets);
+      }
+      printTable(tickets, [
+        ['DEPART', ticket => ticket.departure_at.substring(0, 16).replace('T', ' ')],
+        ['RETURN', ticket => ticket.return_at?.substring(0, 16).replace('T', ' ')],
+        ['PRICE', ticket => `${ticket.value} ${search.currency.toUpperCase()}`],
+        ['FLIGHTS', ticket => parseSegments(ticket).map(segment => flightChain(segment)).join(' / ')],
+        ['STOPS', ticket => parseSegments(ticket).map(segment => segment.stops).join(' / ')],
+        ['LINK', ticket => ticket.ticket_link]
+      ]);
+    }
+  },
+
+  'tickets list': {
+    options: { ...TICKET_QUERY_OPTIONS, limit: { type: 'string' }, cursor: { type: 'string' } },
+    async run({ values }) {
+      const { query, errors } = parseTicketQuery(ticketQueryInput(values));
+      checkErrors('Invalid ticket query', errors);
+
+      const page = await queryTickets(getPrismaClient(), query);
+      if (values.json) {
+        return printJson(page);
+      }
+      printTable(page.tickets, [
+        ...TICKET_COLUMNS,
+        ...(query.displayCurrency ? [['DISPLAY PRICE', ticket => ticket.displayPrice]] : [])
+      ]);
+      if (page.nextCursor) {
+        print(`\nMore tickets: --cursor ${page.nextCursor}`);
+      }
+    }
+  },
+
+  export: {
+    options: {
+      ...TICKET_QUERY_OPTIONS,
+      format: { type: 'string', short: 'f' },
+      output: { type: 'string', short: 'o' }
+    },
+    async run({ values }) {
+      const format = values.format ?? 'json';
+      const { query, errors } = parseTicketQuery(ticketQueryInput(values));
+      if (format !== 'json' && !EXPORT_FORMATS.includes(format)) {
+        errors.push({ field: 'format', message: `format must be one of: json, ${EXPORT_FORMATS.join(', ')}` });
+      }
+      checkErrors('Invalid ticket export', errors);
+
+      const output = values.output ? fs.createWriteStream(values.output) : process.stdout;
+      if (format === 'json') {
+        // A JSON array of every matching ticket, written page by page like the other formats
+        const lines = exportTickets(getPrismaClient(), query, 'jsonl');
+        await pipeline(Readable.from((async function* () {
+          let first = true;
+          yield '[';
+          for await (const chunk of lines) {
+            for (const line of chunk.split('\n').filter(Boolean)) {
+              yield `${first ? '' : ','}\n  ${line}`;
+              first = false;
+            }
+          }
+          yield first ? ']\n' : '\n]\n';
+        })()), output);
+      } else {
+        await pipeline(Readable.from(exportTickets(getPrismaClient(), query, format)), output);
+      }
+
+      if (values.output) {
+        console.error(`Exported tickets to ${values.output}`);
+      }
+    }
+  },
+
+  'places search': {
+    options: { limit: { type: 'string' } },
+    async run({ values, positionals }) {
+      const { data, errors } = validate(placeQuerySchema, { q: positionals.join(' '), limit: values.limit });
+      checkErrors('Invalid place search', errors);
+
+      const places = await searchPlaces(getPrismaClient(), data.q, data.limit);
+      if (values.json) {
+        return printJson(places);
+      }
+      printTable(places, [
+        ['CODE', place => place.code],
+        ['TYPE', place => place.type],
+        ['NAME', place => place.name],
+        ['CITY', place => place.type === 'city' ? place.airports.join(' ') : [place.city, place.cityCode].filter(Boolean).join(', ')],
+        ['COUNTRY', place => place.countryCode]
+      ]);
+    }
+  },
+
+  // Without a file, imports the airports, cities and airlines of data/places
+  'places import': {
+    options: { dataset: { type: 'string' } },
+    async run({ values, positionals }) {
+      let counts;
+      if (positionals.length === 0) {
+        counts = await importPlacesDirectory(getPrismaClient());
+      } else {
+        const { data, errors } = validate(placeImportQuerySchema, { dataset: values.dataset });
+        checkErrors('Invalid place import', errors);
+        const content = fs.readFileSync(positionals[0], 'utf8');
+        counts = { [data.dataset]: await importPlaces(getPrismaClient(), data.dataset, content) };
+      }
+      return values.json ? printJson(counts) : print(Object.entries(counts).map(([dataset, count]) => `Imported ${count} ${dataset}`).join('\n'));
+    }
+  },
+
+  maintenance: {
+    options: { 'dry-run': { type: 'boolean' } },
+    async run({ values }) {
+      const report = await runMaintenance(getPrismaClient(), { ...getMaintenanceConfigFromEnv(), dryRun: Boolean(values['dry-run']) });
+      if (values.json) {
+        return printJson(report);
+      }
+      const { duplicates, compaction, retention } = report;
+      printTable([
+        {
+          job: 'deduplication',
+          scope: `${duplicates.observationWindowMinutes}-minute observation windows`,
+          removed: duplicates.ticketsRemoved,
+          other: ''
+        },
+        {
+          job: 'compaction',
+          scope: compaction.observedBefore ? `observed before ${compaction.observedBefore.toISOString()}` : 'off',
+          removed: compaction.ticketsRemoved,
+          other: `${compaction.dailyAggregates} daily aggregates`
+        },
+        {
+          job: 'retention',
+          scope: retention.departedBefore ? `departed before ${retention.departedBefore}` : 'off',
+          removed: retention.ticketsRemoved,
+          other: `${retention.alertEventsRemoved} alert events (${retention.multiCityTicketsKept} multi-city tickets kept)`
+        }
+      ], [
+        ['JOB', row => row.job],
+        ['SCOPE', row => row.scope],
+        [report.dryRun ? 'TICKETS TO REMOVE' : 'TICKETS REMOVED', row => row.removed],
+        ['ALSO', row => row.other]
+      ]);
+    }
+  }
+};
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// The command is the first one or two words of the arguments ("check", "routes add")
+function findCommand(args) {
+  const twoWords = args.slice(0, 2).join(' ');
+  if (COMMANDS[twoWords]) return [twoWords, args.slice(2)];
+  if (COMMANDS[args[0]]) return [args[0], args.slice(1)];
+  return [null, args];
+}
+
+async function main(args) {
+  if (args.length === 0 || ['help', '--help', '-h'].includes(args[0])) {
+    print(USAGE);
+    return 0;
+  }
+
+  const [name, rest] = findCommand(args);
+  if (!name) {
+    throw new UsageError(`Unknown command: ${args.slice(0, 2).join(' ')}`);
+  }
+
+  const command = COMMANDS[name];
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  if (parsed.values.help) {
+    print(USAGE);
+    return 0;
+  }
+  return (await command.run(parsed)) || 0;
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  if (error instanceof UsageError) {
+    console.error(`Error: ${error.message}`);
+    console.error('Run `flight-tracker help` for the commands and options.');
+    process.exitCode = 2;
+  } else {
+    console.error('Command failed:', error.message || error);
+    process.exitCode = 1;
+  }
+} finally {
+  if (prisma) {
+    await prisma.$disconnect();
+  }
+}
@@ -1,6 +1,45 @@
-import axios from 'axios';
-import { PrismaClient } from '@prisma/client';
+import { PrismaClient, TrackedRoute, Ticket } from '@prisma/client';
 import dotenv from 'dotenv';
+import { TicketData } from './lib/types.js';
+import { recordTicketObservation } from './lib/priceHistory.js';
+import { evaluateAlerts } from './lib/alerts.js';
+import { notifyAlertEvents, NotificationChannels, RetryOptions } from './lib/notifier.js';
+import { getTravelpayoutsClient, TravelpayoutsClient, TravelpayoutsHttpError } from './lib/travelpayouts.js';
+import { QuotaExceededError } from './lib/quota.js';
+
+export { recordTicketObservation, findItineraryIds, getItineraryHistory, normalizeTicketLink, observationWindowMinutes } from './lib/priceHistory.js';
+export { ALERT_TYPES } from './lib/alerts.js';
+export {
+  createEmailChannel,
+  createWebhookChannel,
+  createSlackChannel,
+  signWebhookPayload,
+  deliverWithRetry,
+  notifyAlertEvents,
+  getRetryOptionsFromEnv,
+  getNotificationConfigFromEnv,
+  createChannels,
+  WEBHOOK_SIGNATURE_HEADER
+} from './lib/notifier.js';
+export { TRIP_TYPES } from './lib/types.js';
+export { parseTicketFilters, hasTicketFilters, applyTicketFilters, filterFetchLimit } from './lib/filters.js';
+export { parseSegments, flightChain } from './lib/segments.js';
+export * from './lib/travelpayouts.js';
+export * from './lib/travelpayoutsFixtures.js';
+export { createMockTravelpayoutsServer } from './lib/mockTravelpayouts.js';
+export { searchMultiCity, saveMultiCityItineraries, getMultiCityItinerary, MAX_MULTI_CITY_LEGS } from './lib/multiCity.js';
+export { getPriceCalendar, parseStayRange, priceCalendarTtlMinutes, MAX_STAY_DAYS, MAX_STAY_RANGE } from './lib/priceCalendar.js';
+export { parseTicketQuery, queryTickets, getTicket, TICKET_SORT_KEYS } from './lib/ticketQuery.js';
+export { exportTickets, EXPORT_FORMATS, EXPORT_CONTENT_TYPES } from './lib/ticketExport.js';
+export { getRouteAnalytics, getRoutePriceHistory, DEFAULT_ANALYTICS_DAYS, MAX_ANALYTICS_DAYS } from './lib/analytics.js';
+export * from './lib/currency.js';
+export { createSearchCacheFromEnv, createSearchCacheFromConfig, getSearchCacheConfigFromEnv, searchCacheKey } from './lib/searchCache.js';
+export { getQuotaTracker, createQuotaTrackerFromConfig, getQuotaConfigFromEnv, QuotaExceededError } from './lib/quota.js';
+export { runMaintenance, getMaintenanceConfigFromEnv } from './lib/maintenance.js';
+export * from './lib/auth.js';
+export * from './lib/places.js';
+export { validate, assertValid, ValidationError } from './lib/validation.js';
+export * from './lib/requestSchemas.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -14,28 +53,6 @@ function getPrismaClient(): PrismaClient {
   return prisma;
 }
 
-interface FlightLeg {
-  aircraft_code: string;
-  flight_number: string;
-  origin: string;
-  destination: string;
-  departure_at: string;
-  arrival_at: string;
-}
-
-interface Segment {
-  flight_legs: FlightLeg[];
-}
-
-interface TicketData {
-  departure_at: string;
-  return_at: string;
-  value: number;
-  trip_duration: number;
-  ticket_link: string;
-  segments: Segment[];
-}
-
 // Interface for REST API ticket structure (if needed in the future)
 interface TicketRestData {
   airline: string;
@@ -44,102 +61,112 @@ interface TicketRestData {
   [key: string]: any; // For other possible fields
 }
 
-// Get API key from environment variables
-const API_TOKEN = process.env.TRAVELPAYOUTS_API_TOKEN;
+interface RouteCheckResult {
+  routeId: number;
+  route: string;
+  success: boolean;
+  ticketsFound: number;
+  // New observations; a repeated check within the observation window updates the earlier ones
+  observations: number;
+  newItineraries: number;
+  alertsFired: number;
+  error?: string;
+}
 
-// Check if API key exists
-if (!API_TOKEN) {
-  console.error('❌ API key not found. Make sure the .env file contains TRAVELPAYOUTS_API_TOKEN');
-  process.exit(1);
+// Clients and settings of a price check; each defaults to the one configured from the environment
+export interface PriceCheckOptions {
+  // Travelpayouts client, created when the first route is checked
+  getTravelpayoutsClient?: () => TravelpayoutsClient;
+  // Alert notification channels and the retries of each delivery
+  channels?: NotificationChannels;
+  retry?: RetryOptions;
+  observationWindowMinutes?: number;
 }
 
-// GraphQL API endpoint
-const GRAPHQL_URL = 'https://api.travelpayouts.com/graphql/v1/query';
+// Fetch tickets for a single tracked route and store a price observation for each, tagged with the route id
+async function checkRoute(client: PrismaClient, route: TrackedRoute, options: PriceCheckOptions): Promise<RouteCheckResult> {
+  const routeLabel = `${route.origin}-${route.destination} (route ${route.id})`;
+  console.log(`Checking prices for ${routeLabel}...`);
 
-const graphqlQuery = `
-{
-  prices_round_trip(
-    params: {
-      origin: "YMQ"
-      destination: "YVR"
-      depart_date_min: "2025-07-25"
-      depart_date_max: "2025-07-29"
-      return_date_min: "2025-08-07"
-      return_date_max: "2025-08-11"
-      no_lowcost: true
-    }
-    paging: {
-      limit: 5
-      offset: 0
-    }
-    sorting: VALUE_ASC
-    currency: "cad"
-  ) {
-    departure_at
-    return_at
-    value
-    trip_duration
-    ticket_link
-    segments {
-      flight_legs {
-        aircraft_code
-        flight_number
-        origin
-        destination
-        departure_at
-        arrival_at
+  const tickets: TicketData[] = await (options.getTravelpayoutsClient ?? getTravelpayoutsClient)().search(route);
+
+  const result: RouteCheckResult = {
+    routeId: route.id,
+    route: `${route.origin}-${route.destination}`,
+    success: true,
+    ticketsFound: tickets.length,
+    observations: 0,
+    newItineraries: 0,
+    alertsFired: 0
+  };
+  const storedTickets: Ticket[] = [];
+
+  if (tickets.length === 0) {
+    console.log(`❌ No tickets found in API response for ${routeLabel}.`);
+  } else {
+    console.log(`Found ${tickets.length} tickets in API response`);
+    console.log("First ticket sample:", JSON.stringify(tickets[0], null, 2));
+  }
+  
+  for (const ticket of tickets) {
+    try {
+      console.log(`Processing ticket: ${ticket.departure_at} - ${ticket.return_at || 'one way'}, ${ticket.value} ${route.currency}`);
+      
+      // Every check stores a price observation; the itinerary is only created the first time
+      const { ticket: storedTicket, itinerary, newItinerary, newObservation } = await recordTicketObservation(client, ticket, {
+        currency: route.currency,
+        tripType: route.tripType,
+        routeId: route.id,
+        userId: route.userId,
+        windowMinutes: options.observationWindowMinutes
+      });
+      
+      console.log(`Stored ticket ${storedTicket.id} for ${newItinerary ? 'new' : 'existing'} itinerary ${itinerary.id}`);
+      // A repeated check within the observation window only updates the ticket of the earlier one,
+      // whose alerts were evaluated then
+      if (newObservation) {
+        storedTickets.push(storedTicket);
+        result.observations++;
+      }
+      if (newItinerary) {
+        result.newItineraries++;
       }
+    } catch (ticketError) {
+      console.error('Error processing ticket:', ticketError);
+      console.error('Ticket data that caused the error:', JSON.stringify(ticket, null, 2));
+      // Continue with other tickets instead of failing the entire batch
     }
   }
-}`;
 
-export async function fetchAndStoreTickets() {
-  console.log("GraphQL API request started...");
-  const client = getPrismaClient();
-  
+  // Evaluate fare alert rules against the new observations of this check and deliver the fired ones
   try {
-    console.log("Making API request to:", GRAPHQL_URL);
-    
-    const response = await axios.post(
-      GRAPHQL_URL,
-      { query: graphqlQuery },
-      { 
-        headers: { 
-          'Content-Type': 'application/json',
-          'X-Access-token': API_TOKEN
-        } 
-      }
-    );
-    
-    console.log("API response received with status:", response.status);
-
-    // Check if response contains data
-    if (!response.data) {
-      console.error('❌ No data in response:', response);
-      throw new Error('No data in API response');
-    }
-    
-    if (!response.data.data) {
-      console.error('❌ No data.data in response:', response.data);
-      throw new Error('Invalid API response format: missing data.data');
-    }
-    
-    if (!response.data.data.prices_round_trip) {
-      console.error('❌ No prices_round_trip in response:', response.data.data);
-      throw new Error('Invalid API response format: missing prices_round_trip');
-    }
+    const alertEvents = await evaluateAlerts(client, storedTickets);
+    result.alertsFired = alertEvents.length;
+    await notifyAlertEvents(client, alertEvents, options.channels, options.retry);
+  } catch (alertError) {
+    console.error(`Error evaluating alerts for ${routeLabel}:`, alertError);
+  }
 
-    // Use TicketData interface for type safety
-    const tickets: TicketData[] = response.data.data.prices_round_trip;
+  await client.trackedRoute.update({
+    where: { id: route.id },
+    data: { lastCheckedAt: new Date() }
+  });
 
-    if (!tickets || tickets.length === 0) {
-      console.log('❌ No tickets found in API response.');
-      return;
-    }
+  console.log(`✅ Saved ${result.observations} price observations for ${routeLabel} (${result.newItineraries} new itineraries, ${result.alertsFired} alerts fired).`);
+  return result;
+}
 
-    console.log(`Found ${tickets.length} tickets in API response`);
-    console.log("First ticket sample:", JSON.stringify(tickets[0], null, 2));
-    
+// Run a price check for every active tracked route (or a single route when routeId is given).
+// Without a client it uses its own, which is disconnected at the end.
+export async function fetchAndStoreTickets(
+  routeId?: number,
+  sharedClient?: PrismaClient,
+  options: PriceCheckOptions = {}
+): Promise<RouteCheckResult[]> {
+  console.log("GraphQL API request started...");
+  const client = sharedClient ?? getPrismaClient();
+  
+  try {
     // Test database connection before proceeding
     try {
       console.log("Testing database connection...");
@@ -149,97 +176,82 @@ export async function fetchAndStoreTickets() {
       console.error("Database connection test failed:", dbError);
       throw new Error(`Database connection failed: ${dbError.message}`);
     }
-    
-    let newTicketsCount = 0;
-    let duplicatesCount = 0;
-    
-    for (const ticket of tickets) {
+
+    const routes = await client.trackedRoute.findMany({
+      where: routeId !== undefined ? { id: routeId } : { active: true },
+      orderBy: { id: 'asc' }
+    });
+
+    if (routes.length === 0) {
+      console.log('❌ No active tracked routes to check.');
+      return [];
+    }
+
+    console.log(`Checking ${routes.length} tracked route(s)`);
+    const results: RouteCheckResult[] = [];
+
+    for (const [index, route] of routes.entries()) {
       try {
-        // Get outbound flight information (first segment, first leg)
-        const outboundLeg = ticket.segments[0]?.flight_legs[0];
-        const outboundFlight = outboundLeg?.flight_number || "Unknown";
-        const outboundAirline = outboundFlight.substring(0, 2);
-        
-        // Get return flight information (second segment, first leg)
-        const returnLeg = ticket.segments[1]?.flight_legs[0];
-        const returnFlight = returnLeg?.flight_number || "Unknown";
-        const returnAirline = returnFlight.substring(0, 2);
-        
-        console.log(`Processing ticket: ${outboundFlight} to ${returnFlight}, ${ticket.departure_at} - ${ticket.return_at}`);
-        
-        // Check if this ticket already exists in the database
-        const existingTicket = await client.ticket.findFirst({
-          where: {
-            departureAt: ticket.departure_at,
-            returnAt: ticket.return_at,
-            outboundFlight: outboundFlight,
-            returnFlight: returnFlight,
-            origin: outboundLeg?.origin || "Unknown",
-            destination: outboundLeg?.destination || "Unknown"
+        results.push(await checkRoute(client, route, options));
+      } catch (routeError: any) {
+        // With the daily quota spent, the remaining routes would fail the same way
+        if (routeError instanceof QuotaExceededError) {
+          console.error(`❌ ${routeError.message}; skipping ${routes.length - index} route(s)`);
+          for (const skipped of routes.slice(index)) {
+            results.push({
+              routeId: skipped.id,
+              route: `${skipped.origin}-${skipped.destination}`,
+              success: false,
+              ticketsFound: 0,
+              observations: 0,
+              newItineraries: 0,
+              alertsFired: 0,
+              error: routeError.message
+            });
           }
-        });
+          break;
+        }
+
+        console.error(`Error checking route ${route.id}:`, routeError);
         
-        if (existingTicket) {
-          console.log(`Ticket already exists in database with ID: ${existingTicket.id}`);
-          duplicatesCount++;
-        } else {
-          console.log("Creating new ticket record in database...");
-          // Ensure ticket_link is properly formatted
-          const ticketLink = ticket.ticket_link.startsWith('http') 
-            ? ticket.ticket_link 
-            : `https://www.aviasales.com/search${ticket.ticket_link}`;
-          
-          // Create ticket data object for better debugging and clarity
-          const ticketData = {
-            departureAt: ticket.departure_at,
-            returnAt: ticket.return_at,
-            price: ticket.value,
-            tripDuration: ticket.trip_duration,
-            ticketLink: ticketLink, // Use the properly formatted link
-            origin: outboundLeg?.origin || "Unknown",
-            destination: outboundLeg?.destination || "Unknown",
-            outboundAirline: outboundAirline,
-            outboundFlight: outboundFlight,
-            returnAirline: returnAirline,
-            returnFlight: returnFlight,
-          };
-          
-          console.log("Ticket data to insert:", JSON.stringify(ticketData, null, 2));
-          
-          // Create ticket in database only if it doesn't exist
-          const newTicket = await client.ticket.create({
-            data: ticketData,
-          });
-          
-          console.log(`New ticket created with ID: ${newTicket.id}`);
-          newTicketsCount++;
+        // Add more error information
+        if (routeError instanceof TravelpayoutsHttpError) {
+          console.error('Response status:', routeError.status);
+          console.error('Response data:', routeError.data);
         }
-      } catch (ticketError) {
-        console.error('Error processing ticket:', ticketError);
-        console.error('Ticket data that caused the error:', JSON.stringify(ticket, null, 2));
-        // Continue with other tickets instead of failing the entire batch
+
+        // Continue with other routes instead of failing the entire run
+        results.push({
+          routeId: route.id,
+          route: `${route.origin}-${route.destination}`,
+          success: false,
+          ticketsFound: 0,
+          observations: 0,
+          newItineraries: 0,
+          alertsFired: 0,
+          error: routeError.message || 'Unknown error'
+        });
       }
     }
 
-    console.log(`✅ Saved ${newTicketsCount} new tickets to database. Skipped ${duplicatesCount} duplicates.`);
+    const observationsCount = results.reduce((sum, r) => sum + r.observations, 0);
+    const newItinerariesCount = results.reduce((sum, r) => sum + r.newItineraries, 0);
+    console.log(`✅ Saved ${observationsCount} price observations to database (${newItinerariesCount} new itineraries).`);
+    return results;
   } catch (error: any) {
     console.error('Error executing request:', error);
     
-    // Add more error information
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
-    }
-    
     // Re-throw the error so the caller can handle it
     throw error;
   } finally {
-    // Always disconnect from the database to prevent connection leaks
-    try {
-      await client.$disconnect();
-      console.log("Database connection closed");
-    } catch (disconnectError) {
-      console.error('Error disconnecting from database:', disconnectError);
+    // Always disconnect our own client to prevent connection leaks
+    if (!sharedClient) {
+      try {
+        await client.$disconnect();
+        console.log("Database connection closed");
+      } catch (disconnectError) {
+        console.error('Error disconnecting from database:', disconnectError);
+      }
     }
   }
 }
@@ -0,0 +1,132 @@
+import { PrismaClient, AlertRule, AlertEvent, Ticket } from '@prisma/client';
+import { MetroAreas, loadMetroAreas } from './places.js';
+
+export const ALERT_TYPES = ['price_below', 'price_drop'] as const;
+export type AlertType = typeof ALERT_TYPES[number];
+
+// Check the owner and the origin/destination/trip type/route filters of a rule against a stored ticket.
+// A city or metro-area code in a rule matches tickets from any of its airports.
+function ruleMatchesTicket(rule: AlertRule, ticket: Ticket, metroAreas: MetroAreas): boolean {
+  if (rule.userId !== null && rule.userId !== ticket.userId) return false;
+  if (rule.origin && !metroAreas.covers(rule.origin, ticket.origin)) return false;
+  if (rule.destination && !metroAreas.covers(rule.destination, ticket.destination)) return false;
+  if (rule.tripType && rule.tripType !== ticket.tripType) return false;
+  if (rule.routeId && rule.routeId !== ticket.routeId) return false;
+  return ticket.currency === rule.currency;
+}
+
+function describeTicket(ticket: Ticket): string {
+  const dates = ticket.returnAt
+    ? `${ticket.departureAt.substring(0, 10)} - ${ticket.returnAt.substring(0, 10)}`
+    : `${ticket.departureAt.substring(0, 10)} (one way)`;
+  return `${ticket.origin}→${ticket.destination} ${dates}`;
+}
+
+interface Trigger {
+  previousPrice: number | null;
+  message: string;
+}
+
+// Threshold rule: fires when the price is under the threshold, once per itinerary
+// unless the price has fallen further since the last alert for it
+async function evaluatePriceBelow(client: PrismaClient, rule: AlertRule, ticket: Ticket): Promise<Trigger | null> {
+  if (rule.threshold === null || ticket.price >= rule.threshold) {
+    return null;
+  }
+
+  const lastEvent = await client.alertEvent.findFirst({
+    where: { ruleId: rule.id, itineraryId: ticket.itineraryId },
+    orderBy: { createdAt: 'desc' }
+  });
+  if (lastEvent && lastEvent.price <= ticket.price) {
+    return null;
+  }
+
+  return {
+    previousPrice: lastEvent ? lastEvent.price : null,
+    message: `${describeTicket(ticket)} is ${ticket.price} ${ticket.currency.toUpperCase()}, under ${rule.threshold} ${rule.currency.toUpperCase()}`
+  };
+}
+
+// Percentage-drop rule: compares the ticket with the previous observation of the same itinerary
+// by the same owner, so another user's prices are never compared or shown
+async function evaluatePriceDrop(client: PrismaClient, rule: AlertRule, ticket: Ticket): Promise<Trigger | null> {
+  if (rule.dropPercent === null || ticket.itineraryId === null) {
+    return null;
+  }
+
+  const previous = await client.ticket.findFirst({
+    where: {
+      itineraryId: ticket.itineraryId,
+      currency: ticket.currency,
+      userId: ticket.userId,
+      createdAt: { lt: ticket.createdAt }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+  if (!previous || previous.price <= 0) {
+    return null;
+  }
+
+  const dropPercent = ((previous.price - ticket.price) / previous.price) * 100;
+  if (dropPercent < rule.dropPercent) {
+    return null;
+  }
+
+  return {
+    previousPrice: previous.price,
+    message: `${describeTicket(ticket)} dropped ${dropPercent.toFixed(1)}% from ${previous.price} to ${ticket.price} ${ticket.currency.toUpperCase()}`
+  };
+}
+
+// Evaluate every active alert rule against the tickets stored by a price check
+// and record an AlertEvent for each rule that fires
+export async function evaluateAlerts(client: PrismaClient, tickets: Ticket[]): Promise<AlertEvent[]> {
+  if (tickets.length === 0) {
+    return [];
+  }
+
+  const rules = await client.alertRule.findMany({ where: { active: true } });
+  const metroAreas = await loadMetroAreas(client, rules.flatMap(rule => [rule.origin, rule.destination]));
+  const events: AlertEvent[] = [];
+
+  for (const rule of rules) {
+    for (const ticket of tickets) {
+      if (!ruleMatchesTicket(rule, ticket, metroAreas)) continue;
+
+      try {
+        const trigger = rule.type === 'price_drop'
+          ? await evaluatePriceDrop(client, rule, ticket)
+          : await evaluatePriceBelow(client, rule, ticket);
+        if (!trigger) continue;
+
+        const event = await client.alertEvent.create({
+          data: {
+            ruleId: rule.id,
+            ticketId: ticket.id,
+            itineraryId: ticket.itineraryId,
+            price: ticket.price,
+            previousPrice: trigger.previousPrice,
+            currency: ticket.currency,
+            message: trigger.message
+          }
+        });
+
+        console.log(`🔔 Alert "${rule.name}" fired: ${trigger.message}`);
+        events.push(event);
+      } catch (ruleError) {
+        console.error(`Error evaluating alert rule ${rule.id} for ticket ${ticket.id}:`, ruleError);
+        // Continue with other rules instead of failing the price check
+      }
+    }
+
+    if (events.some(event => event.ruleId === rule.id)) {
+      await client.alertRule.update({
+        where: { id: rule.id },
+        data: { lastTriggeredAt: new Date() }
+      });
+    }
+  }
+
+  return events;
+}
@@ -0,0 +1,313 @@
+import { PrismaClient, Prisma } from '@prisma/client';
+import { TripType } from './types.js';
+import { CurrencyConverter, loadConverterFor } from './currency.js';
+import { MetroAreas, loadMetroAreas } from './places.js';
+import { NOT_COMPACTED, DAILY_PRICE_KEY } from './maintenance.js';
+
+export const DEFAULT_ANALYTICS_DAYS = 90;
+export const MAX_ANALYTICS_DAYS = 365;
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Booking lead time buckets in days before departure: [from, to) with to = null for open-ended
+const LEAD_TIME_BUCKETS: [number, number | null][] = [
+  [0, 7], [7, 14], [14, 30], [30, 60], [60, 90], [90, 180], [180, null]
+];
+
+export interface RouteAnalyticsQuery {
+  origin: string;
+  destination: string;
+  currency: string;
+  tripType?: TripType;
+  // Observations from the last N days
+  days: number;
+  // Convert the prices of every stored currency to this one instead of filtering by currency
+  displayCurrency?: string;
+  // Only the tickets stored for this user (unset for admins)
+  userId?: number;
+}
+
+interface DailyRow {
+  day: Date;
+  min_price: number;
+  median_price: number;
+  max_price: number;
+  observations: bigint;
+}
+
+interface WeekdayRow {
+  weekday: number;
+  avg_price: number;
+  min_price: number;
+  observations: bigint;
+}
+
+interface LeadTimeRow {
+  bucket: number;
+  avg_price: number;
+  min_price: number;
+  observations: bigint;
+}
+
+interface CheckRow {
+  checked_at: Date;
+  min_price: number;
+  max_price: number;
+  observations: bigint;
+  ticket_id: number | null;
+  ticket_link: string | null;
+}
+
+interface VolatilityRow {
+  mean: number | null;
+  stddev: number | null;
+}
+
+const round = (value: number | null, digits = 2): number | null =>
+  value === null ? null : Number(value.toFixed(digits));
+
+// Departure date as a SQL date, from the local date part of the stored ISO timestamp
+const DEPARTURE_DATE = Prisma.sql`substring("departureAt", 1, 10)::date`;
+
+// Days between the observation and the departure, over the rows of observationsSql
+const LEAD_DAYS = Prisma.sql`(o.departure_date - o.day::date)`;
+
+// The rows of observationsSql repeated once per observation they count, so that counts, averages
+// and medians weigh a compacted day by its number of observations
+const EACH_OBSERVATION = Prisma.sql`observed o CROSS JOIN generate_series(1, o.observations)`;
+
+// Index of the lead time bucket; the bounds are inlined so the result is a plain integer
+function leadTimeBucketSql(): Prisma.Sql {
+  const cases = LEAD_TIME_BUCKETS.map(([, to], index) => to === null
+    ? Prisma.raw(`ELSE ${index}`)
+    : Prisma.sql`WHEN ${LEAD_DAYS} < ${Prisma.raw(String(to))} THEN ${Prisma.raw(String(index))}`);
+  return Prisma.sql`CASE ${Prisma.join(cases, ' ')} END`;
+}
+
+// Price column, or the price converted to the display currency (null for currencies without a rate)
+function priceSql(query: RouteAnalyticsQuery, converter: CurrencyConverter | null, column = Prisma.sql`"price"`): Prisma.Sql {
+  if (!converter || !query.displayCurrency) {
+    return column;
+  }
+  const cases = converter.currencies().map(currency =>
+    Prisma.sql`WHEN ${currency} THEN ${column} * ${converter.factor(currency, query.displayCurrency!)}::float8`);
+  return Prisma.sql`(CASE "currency" ${Prisma.join(cases, ' ')} END)`;
+}
+
+function since(query: RouteAnalyticsQuery): Date {
+  return new Date(Date.now() - query.days * 86400000);
+}
+
+// Route, currency, trip type and owner of the tickets (or daily aggregates joined with their itinerary).
+// City and metro-area codes cover the tickets of their airports (YMQ: YUL and YHU).
+function routeConditions(query: RouteAnalyticsQuery, converter: CurrencyConverter | null, metroAreas: MetroAreas): Prisma.Sql[] {
+  const conditions = [
+    Prisma.sql`"origin" IN (${Prisma.join(metroAreas.expand(query.origin))})`,
+    Prisma.sql`"destination" IN (${Prisma.join(metroAreas.expand(query.destination))})`
+  ];
+  if (converter && query.displayCurrency) {
+    conditions.push(Prisma.sql`"currency" IN (${Prisma.join(converter.currencies())})`);
+  } else {
+    conditions.push(Prisma.sql`"currency" = ${query.currency}`);
+  }
+  if (query.tripType) {
+    conditions.push(Prisma.sql`"tripType" = ${query.tripType}`);
+  }
+  if (query.userId !== undefined) {
+    conditions.push(Prisma.sql`"userId" = ${query.userId}`);
+  }
+  return conditions;
+}
+
+function ticketConditions(query: RouteAnalyticsQuery, converter: CurrencyConverter | null, metroAreas: MetroAreas): Prisma.Sql {
+  return Prisma.join([...routeConditions(query, converter, metroAreas), Prisma.sql`"createdAt" >= ${since(query)}`], ' AND ');
+}
+
+// Observations of the route: a row per ticket of the days that have not been compacted, and a row per
+// daily aggregate of the compacted ones (see runMaintenance) with its price range, average and count.
+// Aggregates are included from the UTC day of the start of the period. checked_at is the hour of a
+// ticket's check and the start of the day of an aggregate, whose ticket is the cheapest one the
+// compaction kept (null once the retention has removed it).
+function observationsSql(query: RouteAnalyticsQuery, converter: CurrencyConverter | null, metroAreas: MetroAreas): Prisma.Sql {
+  const route = routeConditions(query, converter, metroAreas);
+  const price = priceSql(query, converter);
+  return Prisma.sql`
+    SELECT date_trunc('day', t."createdAt") AS day,
+           date_trunc('hour', t."createdAt") AS checked_at,
+           ${DEPARTURE_DATE} AS departure_date,
+           ${price} AS min_price,
+           ${price} AS max_price,
+           ${price} AS avg_price,
+           1 AS observations,
+           t."id" AS ticket_id,
+           t."ticketLink" AS ticket_link
+    FROM "Ticket" t
+    WHERE ${ticketConditions(query, converter, metroAreas)} AND ${NOT_COMPACTED}
+    UNION ALL
+    SELECT p."day"::timestamp,
+           p."day"::timestamp,
+           ${DEPARTURE_DATE},
+           ${priceSql(query, converter, Prisma.sql`p."minPrice"`)},
+           ${priceSql(query, converter, Prisma.sql`p."maxPrice"`)},
+           ${priceSql(query, converter, Prisma.sql`p."avgPrice"`)},
+           p."observations",
+           kept."id",
+           kept."ticketLink"
+    FROM "ItineraryDailyPrice" p
+    JOIN "Itinerary" i ON i."id" = p."itineraryId"
+    LEFT JOIN LATERAL (
+      SELECT t."id", t."ticketLink"
+      FROM "Ticket" t
+      WHERE t."itineraryId" = p."itineraryId" AND ${DAILY_PRICE_KEY} = p."key"
+      ORDER BY t."price", t."id"
+      LIMIT 1
+    ) kept ON true
+    WHERE ${Prisma.join(route, ' AND ')} AND p."day" >= ${since(query).toISOString().substring(0, 10)}`;
+}
+
+// Converter for queries with a display currency (throws ExchangeRateError without rates for it)
+async function converterFor(client: PrismaClient, query: RouteAnalyticsQuery): Promise<CurrencyConverter | null> {
+  return query.displayCurrency ? loadConverterFor(client, query.displayCurrency) : null;
+}
+
+// Price statistics of a route computed in the database from the stored tickets and the daily
+// aggregates of compacted days: daily min/median/max, cheapest departure weekday, cheapest booking
+// lead time and volatility (coefficient of variation of the daily minimum price). The median of a
+// compacted day takes each of its aggregates' observations at the aggregate's average price.
+export async function getRouteAnalytics(client: PrismaClient, query: RouteAnalyticsQuery) {
+  const converter = await converterFor(client, query);
+  const metroAreas = await loadMetroAreas(client, [query.origin, query.destination]);
+  const observed = observationsSql(query, converter, metroAreas);
+
+  const daily = await client.$queryRaw<DailyRow[]>`
+    WITH observed AS (${observed})
+    SELECT o.day,
+           min(o.min_price) AS min_price,
+           percentile_cont(0.5) WITHIN GROUP (ORDER BY o.avg_price) AS median_price,
+           max(o.max_price) AS max_price,
+           count(*) AS observations
+    FROM ${EACH_OBSERVATION}
+    GROUP BY 1
+    ORDER BY 1`;
+
+  const weekdays = await client.$queryRaw<WeekdayRow[]>`
+    WITH observed AS (${observed})
+    SELECT extract(isodow FROM o.departure_date)::int AS weekday,
+           avg(o.avg_price)::float AS avg_price,
+           min(o.min_price) AS min_price,
+           count(*) AS observations
+    FROM ${EACH_OBSERVATION}
+    GROUP BY 1
+    ORDER BY 1`;
+
+  const leadTimes = await client.$queryRaw<LeadTimeRow[]>`
+    WITH observed AS (${observed})
+    SELECT ${leadTimeBucketSql()} AS bucket,
+           avg(o.avg_price)::float AS avg_price,
+           min(o.min_price) AS min_price,
+           count(*) AS observations
+    FROM ${EACH_OBSERVATION}
+    WHERE ${LEAD_DAYS} >= 0
+    GROUP BY 1
+    ORDER BY 1`;
+
+  const [volatility] = await client.$queryRaw<VolatilityRow[]>`
+    WITH observed AS (${observed})
+    SELECT avg(daily_min)::float AS mean, stddev_samp(daily_min)::float AS stddev
+    FROM (
+      SELECT min(o.min_price) AS daily_min
+      FROM observed o
+      GROUP BY o.day
+    ) AS daily_minimums`;
+
+  const weekdayStats = weekdays.map(row => ({
+    weekday: WEEKDAYS[row.weekday - 1],
+    averagePrice: round(row.avg_price),
+    minPrice: round(row.min_price),
+    observations: Number(row.observations)
+  }));
+
+  const leadTimeStats = leadTimes.map(row => {
+    const [from, to] = LEAD_TIME_BUCKETS[row.bucket];
+    return {
+      daysBeforeDeparture: to === null ? `${from}+` : `${from}-${to - 1}`,
+      averagePrice: round(row.avg_price),
+      minPrice: round(row.min_price),
+      observations: Number(row.observations)
+    };
+  });
+
+  // Cheapest on average, so a single lucky fare does not decide it
+  const cheapest = <T extends { averagePrice: number | null }>(stats: T[]): T | null =>
+    stats.reduce<T | null>((best, stat) => !best || stat.averagePrice! < best.averagePrice! ? stat : best, null);
+
+  const observations = daily.reduce((sum, row) => sum + Number(row.observations), 0);
+
+  return {
+    origin: query.origin,
+    destination: query.destination,
+    currency: query.displayCurrency ?? query.currency,
+    // Whether prices of every stored currency were converted to the display currency
+    converted: Boolean(converter),
+    ratesAsOf: converter ? converter.asOf : null,
+    tripType: query.tripType ?? null,
+    days: query.days,
+    observations,
+    daily: daily.map(row => ({
+      date: row.day.toISOString().substring(0, 10),
+      minPrice: round(row.min_price),
+      medianPrice: round(row.median_price),
+      maxPrice: round(row.max_price),
+      observations: Number(row.observations)
+    })),
+    weekdays: weekdayStats,
+    cheapestWeekday: cheapest(weekdayStats)?.weekday ?? null,
+    leadTimes: leadTimeStats,
+    cheapestLeadTime: cheapest(leadTimeStats)?.daysBeforeDeparture ?? null,
+    volatility: {
+      meanDailyMin: round(volatility?.mean ?? null),
+      stddevDailyMin: round(volatility?.stddev ?? null),
+      // Standard deviation relative to the mean; null with fewer than two days of data
+      coefficientOfVariation: volatility?.mean && volatility.stddev !== null
+        ? round(volatility.stddev / volatility.mean, 4)
+        : null
+    }
+  };
+}
+
+// Price over time of a route: the lowest and highest fare of each check, with the id and
+// link of the lowest-priced ticket. Tickets stored within the same hour count as one check;
+// a compacted day is one check at the start of the day, counting all of its observations.
+export async function getRoutePriceHistory(client: PrismaClient, query: RouteAnalyticsQuery) {
+  const converter = await converterFor(client, query);
+  const metroAreas = await loadMetroAreas(client, [query.origin, query.destination]);
+  const checks = await client.$queryRaw<CheckRow[]>`
+    WITH observed AS (${observationsSql(query, converter, metroAreas)})
+    SELECT o.checked_at,
+           min(o.min_price) AS min_price,
+           max(o.max_price) AS max_price,
+           sum(o.observations) AS observations,
+           (array_agg(o.ticket_id ORDER BY o.min_price, o.ticket_id))[1] AS ticket_id,
+           (array_agg(o.ticket_link ORDER BY o.min_price, o.ticket_id))[1] AS ticket_link
+    FROM observed o
+    GROUP BY 1
+    ORDER BY 1`;
+
+  return {
+    origin: query.origin,
+    destination: query.destination,
+    currency: query.displayCurrency ?? query.currency,
+    converted: Boolean(converter),
+    ratesAsOf: converter ? converter.asOf : null,
+    tripType: query.tripType ?? null,
+    days: query.days,
+    history: checks.map(row => ({
+      checkedAt: row.checked_at,
+      minPrice: round(row.min_price),
+      maxPrice: round(row.max_price),
+      observations: Number(row.observations),
+      ticketId: row.ticket_id,
+      ticketLink: row.ticket_link
+    }))
+  };
+}
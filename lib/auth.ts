@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { PrismaClient, User } from '@prisma/client';
+
+export const USER_ROLES = ['user', 'admin'] as const;
+export type UserRole = typeof USER_ROLES[number];
+
+export const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_SESSION_TTL_DAYS = 30;
+const API_KEY_PREFIX = 'ft_';
+
+const scrypt = promisify(crypto.scrypt) as (password: string, salt: string, keyLength: number) => Promise<Buffer>;
+
+export class AuthError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'AuthError';
+  }
+}
+
+// User fields that are safe to return from the API
+export type PublicUser = Pick<User, 'id' | 'email' | 'role' | 'apiKeyPrefix' | 'createdAt'>;
+
+export function toPublicUser(user: User): PublicUser {
+  return {
+    id: user.id,
+    email: user.email,
+    role: user.role,
+    apiKeyPrefix: user.apiKeyPrefix,
+    createdAt: user.createdAt
+  };
+}
+
+// "scrypt$<salt>$<hash>", both hex
+export async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+export interface AuthConfig {
+  // Addresses that get the admin role when they register (lower case)
+  adminEmails: string[];
+  // Lifetime of new sessions
+  sessionTtlDays: number;
+}
+
+// ADMIN_EMAILS (comma-separated) and SESSION_TTL_DAYS (30 days when unset or not a positive number).
+// The functions below read it on each call by default, so values loaded from .env apply.
+export function getAuthConfigFromEnv(env: NodeJS.ProcessEnv = process.env): AuthConfig {
+  const days = Number(env.SESSION_TTL_DAYS || '');
+  return {
+    adminEmails: (env.ADMIN_EMAILS || '')
+      .split(',')
+      .map(address => address.trim().toLowerCase())
+      .filter(Boolean),
+    sessionTtlDays: Number.isFinite(days) && days > 0 ? days : DEFAULT_SESSION_TTL_DAYS
+  };
+}
+
+// Session tokens and API keys are random secrets; only their SHA-256 is stored
+function hashSecret(secret: string): string {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+// Addresses listed in adminEmails get the admin role when they register
+export async function registerUser(
+  client: PrismaClient,
+  email: string,
+  password: string,
+  config: Pick<AuthConfig, 'adminEmails'> = getAuthConfigFromEnv()
+): Promise<User> {
+  const normalizedEmail = email.trim().toLowerCase();
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+    throw new AuthError('email must be a valid email address');
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const existing = await client.user.findUnique({ where: { email: normalizedEmail } });
+  if (existing) {
+    throw new AuthError('An account with this email already exists');
+  }
+
+  return client.user.create({
+    data: {
+      email: normalizedEmail,
+      passwordHash: await hashPassword(password),
+      role: config.adminEmails.includes(normalizedEmail) ? 'admin' : 'user'
+    }
+  });
+}
+
+// Check the password and open a session; the token is only returned here
+export async function login(
+  client: PrismaClient,
+  email: string,
+  password: string,
+  config: Pick<AuthConfig, 'sessionTtlDays'> = getAuthConfigFromEnv()
+) {
+  const user = await client.user.findUnique({ where: { email: email.trim().toLowerCase() } });
+  if (!user || !(await verifyPassword(password, user.passwordHash))) {
+    throw new AuthError('Invalid email or password');
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const session = await client.session.create({
+    data: {
+      tokenHash: hashSecret(token),
+      userId: user.id,
+      expiresAt: new Date(Date.now() + config.sessionTtlDays * 86400000)
+    }
+  });
+
+  return { user, token, expiresAt: session.expiresAt };
+}
+
+export async function logout(client: PrismaClient, token: string): Promise<void> {
+  await client.session.deleteMany({ where: { tokenHash: hashSecret(token) } });
+}
+
+// User of a live session token, or null
+export async function findUserBySessionToken(client: PrismaClient, token: string): Promise<User | null> {
+  const session = await client.session.findUnique({
+    where: { tokenHash: hashSecret(token) },
+    include: { user: true }
+  });
+  if (!session) return null;
+  if (session.expiresAt <= new Date()) {
+    await client.session.delete({ where: { id: session.id } });
+    return null;
+  }
+  return session.user;
+}
+
+export async function findUserByApiKey(client: PrismaClient, apiKey: string): Promise<User | null> {
+  if (!apiKey.startsWith(API_KEY_PREFIX)) return null;
+  return client.user.findUnique({ where: { apiKeyHash: hashSecret(apiKey) } });
+}
+
+// Issue a new API key, replacing the previous one; the key is only returned here
+export async function createApiKey(client: PrismaClient, userId: number) {
+  const apiKey = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const user = await client.user.update({
+    where: { id: userId },
+    data: {
+      apiKeyHash: hashSecret(apiKey),
+      apiKeyPrefix: apiKey.substring(0, API_KEY_PREFIX.length + 6)
+    }
+  });
+  return { user, apiKey };
+}
+
+export async function revokeApiKey(client: PrismaClient, userId: number): Promise<User> {
+  return client.user.update({
+    where: { id: userId },
+    data: { apiKeyHash: null, apiKeyPrefix: null }
+  });
+}
+
+// Compare a shared secret (e.g. CRON_SECRET) without leaking its length through timing
+export function secretsMatch(provided: string, expected: string): boolean {
+  const a = Buffer.from(hashSecret(provided), 'hex');
+  const b = Buffer.from(hashSecret(expected), 'hex');
+  return crypto.timingSafeEqual(a, b);
+}
@@ -0,0 +1,207 @@
+import axios from 'axios';
+import { PrismaClient } from '@prisma/client';
+
+// Rates are stored against the euro, like the ECB reference rates
+export const BASE_CURRENCY = 'eur';
+
+const ECB_DAILY_URL = 'https://www.ecb.europa.eu/stats/eurofxref/eurofxref-daily.xml';
+const HTTP_TIMEOUT_MS = 10000;
+
+export class ExchangeRateError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ExchangeRateError';
+  }
+}
+
+// Rates of one day: units of each currency per 1 unit of the base currency
+export interface RateSet {
+  date: string;
+  base: string;
+  rates: Record<string, number>;
+}
+
+// A source of exchange rates that can be refreshed on demand
+export interface RateProvider {
+  name: string;
+  fetchRates(): Promise<RateSet[]>;
+}
+
+function addRate(set: RateSet, currency: string, value: string) {
+  const rate = parseFloat(value);
+  if (Number.isFinite(rate) && rate > 0) {
+    set.rates[currency.trim().toLowerCase()] = rate;
+  }
+}
+
+// ECB XML (eurofxref-daily.xml or eurofxref-hist.xml):
+// <Cube time="2025-06-02"><Cube currency="USD" rate="1.1404"/>...</Cube>
+export function parseEcbXml(xml: string): RateSet[] {
+  const sets: RateSet[] = [];
+  const dayPattern = /<Cube\s+time=['"](\d{4}-\d{2}-\d{2})['"]\s*>([\s\S]*?)<\/Cube>/g;
+  const ratePattern = /<Cube\s+currency=['"]([A-Za-z]{3})['"]\s+rate=['"]([\d.]+)['"]\s*\/>/g;
+
+  for (const [, date, body] of xml.matchAll(dayPattern)) {
+    const set: RateSet = { date, base: BASE_CURRENCY, rates: {} };
+    for (const [, currency, rate] of body.matchAll(ratePattern)) {
+      addRate(set, currency, rate);
+    }
+    sets.push(set);
+  }
+
+  if (sets.length === 0) {
+    throw new ExchangeRateError('No exchange rates found in XML');
+  }
+  return sets;
+}
+
+// "19 October 2026" or "2026-10-19" -> "2026-10-19"
+function parseCsvDate(value: string): string | null {
+  const text = value.trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) return text;
+  const parsed = Date.parse(`${text} UTC`);
+  return Number.isNaN(parsed) ? null : new Date(parsed).toISOString().substring(0, 10);
+}
+
+// ECB CSV (eurofxref.csv or eurofxref-hist.csv): a "Date" column followed by one column
+// per currency, one row per day. Empty and "N/A" cells are skipped.
+export function parseEcbCsv(csv: string): RateSet[] {
+  const [header, ...rows] = csv.split(/\r?\n/).filter(line => line.trim() !== '');
+  const columns = (header || '').split(',').map(column => column.trim());
+  if (columns[0]?.toLowerCase() !== 'date') {
+    throw new ExchangeRateError('CSV must start with a "Date" column');
+  }
+
+  const sets = rows.map(row => {
+    const cells = row.split(',');
+    const date = parseCsvDate(cells[0]);
+    if (!date) {
+      throw new ExchangeRateError(`Invalid date in CSV row: ${cells[0]}`);
+    }
+    const set: RateSet = { date, base: BASE_CURRENCY, rates: {} };
+    columns.slice(1).forEach((currency, index) => {
+      if (/^[A-Za-z]{3}$/.test(currency)) {
+        addRate(set, currency, cells[index + 1] ?? '');
+      }
+    });
+    return set;
+  });
+
+  if (sets.length === 0) {
+    throw new ExchangeRateError('No exchange rates found in CSV');
+  }
+  return sets;
+}
+
+// Detect the format of an uploaded rates file
+export function parseRatesFile(content: string): RateSet[] {
+  return content.trimStart().startsWith('<') ? parseEcbXml(content) : parseEcbCsv(content);
+}
+
+// Express a rate set against the euro so all stored rates share one base
+function toEuroBase(set: RateSet): Record<string, number> {
+  const base = set.base.toLowerCase();
+  if (base === BASE_CURRENCY) {
+    return set.rates;
+  }
+  const euroRate = set.rates[BASE_CURRENCY];
+  if (!euroRate) {
+    throw new ExchangeRateError(`Rates of ${set.date} are based on ${base.toUpperCase()} and have no EUR rate to convert them`);
+  }
+  const rates: Record<string, number> = { [base]: 1 / euroRate };
+  for (const [currency, rate] of Object.entries(set.rates)) {
+    if (currency !== BASE_CURRENCY) {
+      rates[currency] = rate / euroRate;
+    }
+  }
+  return rates;
+}
+
+// Store rate sets, replacing rates already stored for the same currency and day
+export async function importRates(client: PrismaClient, sets: RateSet[], source: string): Promise<number> {
+  let imported = 0;
+  for (const set of sets) {
+    for (const [currency, rate] of Object.entries(toEuroBase(set))) {
+      await client.exchangeRate.upsert({
+        where: { currency_date: { currency, date: set.date } },
+        create: { currency, date: set.date, rate, source },
+        update: { rate, source }
+      });
+      imported++;
+    }
+  }
+  return imported;
+}
+
+// Daily ECB reference rates
+export function createEcbProvider(url: string = ECB_DAILY_URL): RateProvider {
+  return {
+    name: 'ecb',
+    async fetchRates() {
+      const response = await axios.get<string>(url, { timeout: HTTP_TIMEOUT_MS, responseType: 'text' });
+      return parseRatesFile(response.data);
+    }
+  };
+}
+
+// Provider selected by EXCHANGE_RATES_URL (an ECB-style XML or CSV file, ECB daily rates by default)
+export function getRateProviderFromEnv(): RateProvider {
+  return createEcbProvider(process.env.EXCHANGE_RATES_URL || ECB_DAILY_URL);
+}
+
+export async function refreshRates(client: PrismaClient, provider: RateProvider = getRateProviderFromEnv()) {
+  const sets = await provider.fetchRates();
+  const imported = await importRates(client, sets, provider.name);
+  console.log(`Imported ${imported} exchange rates from ${provider.name}`);
+  return { provider: provider.name, days: sets.length, imported };
+}
+
+export interface CurrencyConverter {
+  // Date of the most recent rate used
+  asOf: string | null;
+  // Multiplier converting an amount from one currency to another, or null without rates for both
+  factor(from: string, to: string): number | null;
+  convert(amount: number, from: string, to: string): number | null;
+  currencies(): string[];
+}
+
+export function createConverter(rates: Record<string, number>, asOf: string | null): CurrencyConverter {
+  const euroRates: Record<string, number> = { ...rates, [BASE_CURRENCY]: 1 };
+
+  const factor = (from: string, to: string): number | null => {
+    const fromRate = euroRates[from.toLowerCase()];
+    const toRate = euroRates[to.toLowerCase()];
+    return fromRate && toRate ? toRate / fromRate : null;
+  };
+
+  return {
+    asOf,
+    factor,
+    convert(amount, from, to) {
+      const multiplier = factor(from, to);
+      return multiplier === null ? null : Math.round(amount * multiplier * 100) / 100;
+    },
+    currencies: () => Object.keys(euroRates).sort()
+  };
+}
+
+// Converter using the latest stored rate of every currency
+export async function loadConverter(client: PrismaClient): Promise<CurrencyConverter> {
+  const latest = await client.exchangeRate.findMany({
+    distinct: ['currency'],
+    orderBy: [{ currency: 'asc' }, { date: 'desc' }]
+  });
+
+  const rates = Object.fromEntries(latest.map(rate => [rate.currency, rate.rate]));
+  const asOf = latest.reduce<string | null>((max, rate) => !max || rate.date > max ? rate.date : max, null);
+  return createConverter(rates, asOf);
+}
+
+// Converter that can convert to the requested display currency, or an ExchangeRateError
+export async function loadConverterFor(client: PrismaClient, displayCurrency: string): Promise<CurrencyConverter> {
+  const converter = await loadConverter(client);
+  if (!converter.currencies().includes(displayCurrency.toLowerCase())) {
+    throw new ExchangeRateError(`No exchange rate stored for ${displayCurrency.toUpperCase()}; import or refresh rates first`);
+  }
+  return converter;
+}
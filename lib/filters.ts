@@ -0,0 +1,128 @@
+import { TicketData } from './types.js';
+import { parseSegments, ParsedSegment } from './segments.js';
+import { FieldError, object, field, integer, validate } from './validation.js';
+
+// Filters applied to search results after they are fetched from the GraphQL API.
+// Hour ranges are [from, to] in local time at the departure airport, both inclusive.
+export interface TicketFilters {
+  maxStops?: number;
+  maxLayoverMinutes?: number;
+  includeAirlines?: string[];
+  excludeAirlines?: string[];
+  outboundDepartureHours?: [number, number];
+  returnDepartureHours?: [number, number];
+  // Maximum travel time of each segment, layovers included: the outbound and the return are checked
+  // separately, never their total (ticket.trip_duration is the stay length of a round trip, not a flight time)
+  maxSegmentDurationMinutes?: number;
+}
+
+const AIRLINE_CODE = /^[A-Z0-9]{2}$/;
+
+// A list of airline codes, as an array or a comma-separated string
+function airlineList() {
+  return field<string[] | undefined>(value => {
+    const list = Array.isArray(value) ? value : String(value).split(',');
+    const codes = list.map(code => String(code).trim().toUpperCase()).filter(code => code !== '');
+    if (codes.some(code => !AIRLINE_CODE.test(code))) {
+      return { error: 'must be a list of 2-character airline codes' };
+    }
+    return { value: codes.length > 0 ? codes : undefined };
+  }).optional();
+}
+
+function hourRange() {
+  return field<[number, number]>(value => {
+    const range = Array.isArray(value) ? value.map(Number) : [];
+    if (range.length !== 2 || range.some(hour => !Number.isInteger(hour) || hour < 0 || hour > 23) || range[0] > range[1]) {
+      return { error: 'must be [from, to] hours between 0 and 23 with from <= to' };
+    }
+    return { value: [range[0], range[1]] };
+  }).optional();
+}
+
+export const ticketFiltersSchema = object({
+  maxStops: integer({ min: 0 }).optional(),
+  maxLayoverMinutes: integer({ min: 0 }).optional(),
+  includeAirlines: airlineList(),
+  excludeAirlines: airlineList(),
+  outboundDepartureHours: hourRange(),
+  returnDepartureHours: hourRange(),
+  maxSegmentDurationMinutes: integer({ min: 0 }).optional()
+});
+
+// Validate filter options from a request body. Unset filters are left out of the result,
+// so hasTicketFilters() can tell whether anything was requested.
+export function parseTicketFilters(input: Record<string, unknown>): { filters: TicketFilters; errors: FieldError[] } {
+  const { data, errors } = validate(ticketFiltersSchema, input);
+  return { filters: data, errors };
+}
+
+export function hasTicketFilters(filters: TicketFilters): boolean {
+  return Object.keys(filters).length > 0;
+}
+
+// When search filters are set, fetch limit * multiplier results (capped) before filtering
+const FILTER_FETCH_MULTIPLIER = 4;
+const MAX_FILTER_FETCH_LIMIT = 50;
+
+// Number of results to fetch so that enough are left after the filters are applied
+export function filterFetchLimit(resultsLimit: number, filters: TicketFilters): number {
+  if (!hasTicketFilters(filters)) {
+    return resultsLimit;
+  }
+  return Math.max(Math.min(resultsLimit * FILTER_FETCH_MULTIPLIER, MAX_FILTER_FETCH_LIMIT), resultsLimit);
+}
+
+// Local hour at the departure airport, read from the ISO timestamp ("2025-07-25T08:40:00-04:00" -> 8)
+function localHour(timestamp: string): number | null {
+  const match = /T(\d{2}):/.exec(timestamp || '');
+  return match ? parseInt(match[1]) : null;
+}
+
+function inHourRange(segment: ParsedSegment | undefined, range: [number, number] | undefined): boolean {
+  if (!range || !segment) return true;
+  const hour = localHour(segment.departureAt);
+  return hour !== null && hour >= range[0] && hour <= range[1];
+}
+
+// Check every segment and flight leg of a ticket against the filters
+export function ticketMatchesFilters(ticket: TicketData, filters: TicketFilters): boolean {
+  const segments = parseSegments(ticket);
+  const legs = segments.flatMap(segment => segment.legs);
+
+  if (filters.maxStops !== undefined && segments.some(segment => segment.stops > filters.maxStops!)) {
+    return false;
+  }
+
+  if (filters.maxLayoverMinutes !== undefined &&
+      legs.some(leg => leg.layoverMinutes !== null && leg.layoverMinutes > filters.maxLayoverMinutes!)) {
+    return false;
+  }
+
+  // Every leg must be flown by an included airline; no leg may be flown by an excluded one
+  if (filters.includeAirlines && legs.some(leg => !filters.includeAirlines!.includes(leg.carrier))) {
+    return false;
+  }
+
+  if (filters.excludeAirlines && legs.some(leg => filters.excludeAirlines!.includes(leg.carrier))) {
+    return false;
+  }
+
+  if (!inHourRange(segments[0], filters.outboundDepartureHours) || !inHourRange(segments[1], filters.returnDepartureHours)) {
+    return false;
+  }
+
+  if (filters.maxSegmentDurationMinutes !== undefined &&
+      segments.some(segment => segment.durationMinutes !== null && segment.durationMinutes > filters.maxSegmentDurationMinutes!)) {
+    return false;
+  }
+
+  return true;
+}
+
+export function applyTicketFilters(tickets: TicketData[], filters: TicketFilters): TicketData[] {
+  if (!hasTicketFilters(filters)) {
+    return tickets;
+  }
+  return tickets.filter(ticket => ticketMatchesFilters(ticket, filters));
+}
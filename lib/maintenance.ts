@@ -0,0 +1,173 @@
+import { PrismaClient, Prisma } from '@prisma/client';
+import { observationWindowMinutes } from './priceHistory.js';
+import { addDays } from './priceCalendar.js';
+
+const DEFAULT_COMPACT_AFTER_DAYS = 30;
+const DEFAULT_RETENTION_DAYS = 180;
+const TRANSACTION_TIMEOUT_MS = 120000;
+
+export interface MaintenanceConfig {
+  observationWindowMinutes: number;
+  // Observations older than this are collapsed into daily aggregates (null turns compaction off)
+  compactAfterDays: number | null;
+  // Tickets departing more than this many days ago are deleted (null keeps them)
+  retentionDays: number | null;
+}
+
+export interface MaintenanceOptions extends MaintenanceConfig {
+  // Report what would change and roll everything back
+  dryRun: boolean;
+}
+
+export interface MaintenanceReport {
+  dryRun: boolean;
+  // Tickets of the same itinerary, currency and owner stored in one observation window
+  duplicates: { observationWindowMinutes: number; ticketsRemoved: number };
+  compaction: { observedBefore: Date | null; dailyAggregates: number; ticketsRemoved: number };
+  // Tickets that are legs of saved multi-city itineraries are kept: deleting them would delete the legs
+  retention: { departedBefore: string | null; ticketsRemoved: number; alertEventsRemoved: number; multiCityTicketsKept: number };
+}
+
+// Thrown inside the transaction of a dry run so that its changes are rolled back
+class DryRunRollback extends Error {
+  constructor(readonly report: MaintenanceReport) {
+    super('Dry run');
+  }
+}
+
+// Tickets that alert events or multi-city itineraries point at are kept by the deduplication and compaction
+const UNREFERENCED = Prisma.sql`NOT EXISTS (SELECT 1 FROM "AlertEvent" e WHERE e."ticketId" = t."id")
+  AND NOT EXISTS (SELECT 1 FROM "MultiCityLeg" l WHERE l."ticketId" = t."id")`;
+
+// UTC day of the observation, as in ItineraryDailyPrice.day
+const OBSERVED_DAY = Prisma.sql`to_char(t."createdAt", 'YYYY-MM-DD')`;
+
+// ItineraryDailyPrice.key of the day of a ticket (aliased t)
+export const DAILY_PRICE_KEY = Prisma.sql`concat_ws('|', t."itineraryId", t."currency", COALESCE(t."userId"::text, ''), ${OBSERVED_DAY})`;
+
+// Tickets (aliased t) of a day that has not been compacted. Once it has, the day's ItineraryDailyPrice
+// row counts every observation and only the cheapest ticket is left, so readers use the row instead.
+export const NOT_COMPACTED = Prisma.sql`NOT EXISTS (SELECT 1 FROM "ItineraryDailyPrice" p WHERE p."key" = ${DAILY_PRICE_KEY})`;
+
+// Remove the extra tickets of an observation window, keeping the latest one, as the observationKey
+// upsert keeps the latest price of a window. Rows stored since the upsert cannot repeat; this cleans
+// up the ones stored before it by concurrent checks.
+async function removeDuplicates(tx: Prisma.TransactionClient, windowMinutes: number): Promise<number> {
+  const windowSeconds = Prisma.raw(String(windowMinutes * 60));
+  return tx.$executeRaw`
+    DELETE FROM "Ticket" WHERE "id" IN (
+      SELECT "id" FROM (
+        SELECT t."id", ROW_NUMBER() OVER (
+          PARTITION BY t."itineraryId", t."currency", COALESCE(t."userId", 0),
+            floor(extract(epoch FROM t."createdAt") / ${windowSeconds})
+          ORDER BY t."createdAt" DESC, t."id" DESC
+        ) AS rank
+        FROM "Ticket" t
+        WHERE t."itineraryId" IS NOT NULL AND ${UNREFERENCED}
+      ) ranked
+      WHERE rank > 1
+    )`;
+}
+
+// Write a daily aggregate for every itinerary, currency, owner and day of the matching tickets that
+// has none yet, then keep only the cheapest ticket of each such day
+async function compact(tx: Prisma.TransactionClient, matching: Prisma.Sql) {
+  const dailyAggregates = await tx.$executeRaw`
+    INSERT INTO "ItineraryDailyPrice"
+      ("key", "itineraryId", "userId", "day", "currency", "minPrice", "maxPrice", "avgPrice", "observations", "createdAt")
+    SELECT ${DAILY_PRICE_KEY},
+      t."itineraryId", t."userId", ${OBSERVED_DAY}, t."currency",
+      MIN(t."price"), MAX(t."price"), AVG(t."price")::float8, COUNT(*)::int, NOW()
+    FROM "Ticket" t
+    WHERE t."itineraryId" IS NOT NULL AND ${matching}
+    GROUP BY t."itineraryId", t."currency", t."userId", ${OBSERVED_DAY}
+    ON CONFLICT ("key") DO NOTHING`;
+
+  const ticketsRemoved = await tx.$executeRaw`
+    DELETE FROM "Ticket" WHERE "id" IN (
+      SELECT "id" FROM (
+        SELECT t."id", ROW_NUMBER() OVER (
+          PARTITION BY t."itineraryId", t."currency", COALESCE(t."userId", 0), ${OBSERVED_DAY}
+          ORDER BY t."price", t."id"
+        ) AS rank
+        FROM "Ticket" t
+        WHERE t."itineraryId" IS NOT NULL AND ${matching} AND ${UNREFERENCED}
+      ) ranked
+      WHERE rank > 1
+    )`;
+
+  return { dailyAggregates, ticketsRemoved };
+}
+
+// Deduplicate observations, compact old ones into daily aggregates and delete tickets of trips that
+// departed before the retention period. Tickets about to be deleted by the retention are aggregated
+// first, so their daily prices are kept. A dry run makes the same changes in a transaction that is
+// rolled back, so its report has the exact numbers.
+export async function runMaintenance(client: PrismaClient, options: MaintenanceOptions): Promise<MaintenanceReport> {
+  const today = new Date().toISOString().substring(0, 10);
+  // Start of a UTC day, so a day is compacted whole: its aggregate is written once and later
+  // runs never delete tickets of a day that it does not count
+  const observedBefore = options.compactAfterDays !== null
+    ? new Date(`${addDays(today, -options.compactAfterDays)}T00:00:00.000Z`)
+    : null;
+  const departedBefore = options.retentionDays !== null
+    ? addDays(today, -options.retentionDays)
+    : null;
+
+  try {
+    return await client.$transaction(async tx => {
+      const report: MaintenanceReport = {
+        dryRun: options.dryRun,
+        duplicates: {
+          observationWindowMinutes: options.observationWindowMinutes,
+          ticketsRemoved: await removeDuplicates(tx, options.observationWindowMinutes)
+        },
+        compaction: { observedBefore, dailyAggregates: 0, ticketsRemoved: 0 },
+        retention: { departedBefore, ticketsRemoved: 0, alertEventsRemoved: 0, multiCityTicketsKept: 0 }
+      };
+
+      const matching: Prisma.Sql[] = [];
+      if (observedBefore) matching.push(Prisma.sql`t."createdAt" < ${observedBefore}`);
+      if (departedBefore) matching.push(Prisma.sql`t."departureAt" < ${departedBefore}`);
+      if (matching.length > 0) {
+        report.compaction = { observedBefore, ...await compact(tx, Prisma.sql`(${Prisma.join(matching, ' OR ')})`) };
+      }
+
+      if (departedBefore) {
+        const departed = { departureAt: { lt: departedBefore } };
+        const expired = { ...departed, multiCityLegs: { none: {} } };
+        report.retention.multiCityTicketsKept = await tx.ticket.count({ where: { ...departed, multiCityLegs: { some: {} } } });
+        // Alert events are deleted with their tickets
+        report.retention.alertEventsRemoved = await tx.alertEvent.count({ where: { ticket: expired } });
+        const { count } = await tx.ticket.deleteMany({ where: expired });
+        report.retention.ticketsRemoved = count;
+      }
+
+      if (options.dryRun) {
+        throw new DryRunRollback(report);
+      }
+      return report;
+    }, { timeout: TRANSACTION_TIMEOUT_MS });
+  } catch (error) {
+    if (error instanceof DryRunRollback) {
+      return error.report;
+    }
+    throw error;
+  }
+}
+
+function parseDays(value: string | undefined, fallback: number): number | null {
+  if (value === undefined || value === '') return fallback;
+  const days = parseInt(value);
+  return Number.isInteger(days) && days > 0 ? days : null;
+}
+
+// Configuration from TICKET_COMPACT_AFTER_DAYS (30 by default) and TICKET_RETENTION_DAYS (180 by default);
+// 0 turns either job off. The observation window is OBSERVATION_WINDOW_MINUTES, as for new observations.
+export function getMaintenanceConfigFromEnv(env: NodeJS.ProcessEnv = process.env): MaintenanceConfig {
+  return {
+    observationWindowMinutes: observationWindowMinutes(env),
+    compactAfterDays: parseDays(env.TICKET_COMPACT_AFTER_DAYS, DEFAULT_COMPACT_AFTER_DAYS),
+    retentionDays: parseDays(env.TICKET_RETENTION_DAYS, DEFAULT_RETENTION_DAYS)
+  };
+}
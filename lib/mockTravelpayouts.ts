@@ -0,0 +1,55 @@
+import http from 'http';
+import path from 'path';
+import { FixtureStore, GraphQLRequestBody, fixtureFileName, getFixtureStoreFromEnv } from './travelpayoutsFixtures.js';
+
+const DEFAULT_MOCK_PORT = 4010;
+
+function sendJson(res: http.ServerResponse, status: number, body: unknown) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Local GraphQL server answering POST requests from recorded fixtures, for running the app
+// with TRAVELPAYOUTS_API_URL pointed at it. Unrecorded requests get a 404 with a GraphQL error.
+export function createMockTravelpayoutsServer(store: FixtureStore): http.Server {
+  return http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { errors: [{ message: 'Only POST GraphQL requests are supported' }] });
+    }
+
+    let raw = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      let body: GraphQLRequestBody;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        return sendJson(res, 400, { errors: [{ message: 'Request body must be JSON' }] });
+      }
+      if (typeof body?.query !== 'string') {
+        return sendJson(res, 400, { errors: [{ message: 'Request body must have a query' }] });
+      }
+
+      const fixture = store.load(body);
+      if (!fixture) {
+        const file = path.join(store.dir, fixtureFileName(body));
+        console.warn(`No fixture for request, expected ${file}`);
+        return sendJson(res, 404, { errors: [{ message: `No recorded fixture ${file}` }] });
+      }
+      return sendJson(res, fixture.response.status, fixture.response.data);
+    });
+  });
+}
+
+// `node dist/lib/mockTravelpayouts.js` serves the fixtures of TRAVELPAYOUTS_FIXTURES_DIR
+// on MOCK_TRAVELPAYOUTS_PORT (4010 by default)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const store = getFixtureStoreFromEnv();
+  const port = parseInt(process.env.MOCK_TRAVELPAYOUTS_PORT || '') || DEFAULT_MOCK_PORT;
+  createMockTravelpayoutsServer(store).listen(port, () => {
+    console.log(`Mock Travelpayouts GraphQL API serving ${store.dir} on http://localhost:${port}`);
+  });
+}
@@ -0,0 +1,171 @@
+import { PrismaClient } from '@prisma/client';
+import { TicketData } from './types.js';
+import { TravelpayoutsClient } from './travelpayouts.js';
+import { recordTicketObservation, normalizeTicketLink, ObservationOptions } from './priceHistory.js';
+import { minutesBetween } from './segments.js';
+
+export const MAX_MULTI_CITY_LEGS = 5;
+
+export interface MultiCityLegSearch {
+  origin: string;
+  destination: string;
+  departDateMin: string;
+  departDateMax: string;
+}
+
+export interface MultiCitySearch {
+  legs: MultiCityLegSearch[];
+  currency: string;
+  noLowcost: boolean;
+  // Fares fetched per leg; the combinations are built from these
+  limitPerLeg: number;
+  maxResults: number;
+  sortBy: 'price' | 'duration';
+}
+
+export interface MultiCityLegOption {
+  position: number;
+  ticket: TicketData;
+  departureAt: string;
+  arrivalAt: string | null;
+  durationMinutes: number;
+}
+
+export interface MultiCityCombination {
+  totalPrice: number;
+  totalDuration: number;
+  currency: string;
+  legs: MultiCityLegOption[];
+}
+
+// Departure, arrival (last flight leg) and duration of a one-way ticket
+function toLegOption(position: number, ticket: TicketData): MultiCityLegOption {
+  const flightLegs = ticket.segments.flatMap(segment => segment.flight_legs);
+  const lastLeg = flightLegs[flightLegs.length - 1];
+  const arrivalAt = lastLeg?.arrival_at || null;
+
+  return {
+    position,
+    ticket: { ...ticket, ticket_link: normalizeTicketLink(ticket.ticket_link) },
+    departureAt: ticket.departure_at,
+    arrivalAt,
+    durationMinutes: minutesBetween(ticket.departure_at, arrivalAt) ?? ticket.trip_duration
+  };
+}
+
+// A leg can follow the previous one only if it departs after the previous leg lands
+function canFollow(previous: MultiCityLegOption, next: MultiCityLegOption): boolean {
+  const previousEnd = previous.arrivalAt || previous.departureAt;
+  return new Date(next.departureAt).getTime() > new Date(previousEnd).getTime();
+}
+
+// Build every time-ordered combination of one option per leg
+export function combineLegOptions(optionsPerLeg: MultiCityLegOption[][], currency: string): MultiCityCombination[] {
+  const combinations: MultiCityCombination[] = [];
+
+  const walk = (index: number, chosen: MultiCityLegOption[]) => {
+    if (index === optionsPerLeg.length) {
+      combinations.push({
+        totalPrice: chosen.reduce((sum, leg) => sum + leg.ticket.value, 0),
+        totalDuration: chosen.reduce((sum, leg) => sum + leg.durationMinutes, 0),
+        currency,
+        legs: [...chosen]
+      });
+      return;
+    }
+
+    for (const option of optionsPerLeg[index]) {
+      if (index > 0 && !canFollow(chosen[index - 1], option)) continue;
+      chosen.push(option);
+      walk(index + 1, chosen);
+      chosen.pop();
+    }
+  };
+
+  walk(0, []);
+  return combinations;
+}
+
+// Rank by total price (then duration), or by total duration (then price)
+export function rankCombinations(combinations: MultiCityCombination[], sortBy: 'price' | 'duration'): MultiCityCombination[] {
+  return [...combinations].sort((a, b) => sortBy === 'duration'
+    ? a.totalDuration - b.totalDuration || a.totalPrice - b.totalPrice
+    : a.totalPrice - b.totalPrice || a.totalDuration - b.totalDuration);
+}
+
+// Fetch one-way fares for every leg in parallel and return the ranked combinations
+export async function searchMultiCity(
+  travelpayouts: TravelpayoutsClient,
+  search: MultiCitySearch
+): Promise<{ combinations: MultiCityCombination[]; faresPerLeg: number[] }> {
+  const ticketsPerLeg = await Promise.all(search.legs.map(leg => travelpayouts.searchOneWay({
+    origin: leg.origin,
+    destination: leg.destination,
+    departDateMin: leg.departDateMin,
+    departDateMax: leg.departDateMax,
+    currency: search.currency,
+    noLowcost: search.noLowcost,
+    limit: search.limitPerLeg
+  })));
+
+  const optionsPerLeg = ticketsPerLeg.map((tickets, position) =>
+    tickets.map(ticket => toLegOption(position, ticket)));
+
+  const combinations = rankCombinations(combineLegOptions(optionsPerLeg, search.currency), search.sortBy);
+
+  return {
+    combinations: combinations.slice(0, search.maxResults),
+    faresPerLeg: ticketsPerLeg.map(tickets => tickets.length)
+  };
+}
+
+// Store combinations as composite itineraries. Each distinct leg fare is recorded once
+// as a one-way ticket observation, even when several combinations share it.
+export async function saveMultiCityItineraries(
+  client: PrismaClient,
+  combinations: MultiCityCombination[],
+  userId: number | null = null,
+  observation: Pick<ObservationOptions, 'windowMinutes'> = {}
+) {
+  const storedTicketIds = new Map<TicketData, number>();
+  const saved = [];
+
+  for (const combination of combinations) {
+    const ticketIds: number[] = [];
+    for (const leg of combination.legs) {
+      let ticketId = storedTicketIds.get(leg.ticket);
+      if (ticketId === undefined) {
+        const { ticket } = await recordTicketObservation(client, leg.ticket, {
+          currency: combination.currency,
+          tripType: 'one_way',
+          userId,
+          ...observation
+        });
+        ticketId = ticket.id;
+        storedTicketIds.set(leg.ticket, ticketId);
+      }
+      ticketIds.push(ticketId);
+    }
+
+    saved.push(await client.multiCityItinerary.create({
+      data: {
+        totalPrice: combination.totalPrice,
+        totalDuration: combination.totalDuration,
+        currency: combination.currency.toLowerCase(),
+        userId,
+        legs: {
+          create: ticketIds.map((ticketId, position) => ({ position, ticketId }))
+        }
+      }
+    }));
+  }
+
+  return saved;
+}
+
+export async function getMultiCityItinerary(client: PrismaClient, id: number) {
+  return client.multiCityItinerary.findUnique({
+    where: { id },
+    include: { legs: { orderBy: { position: 'asc' }, include: { ticket: true } } }
+  });
+}
@@ -0,0 +1,311 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { PrismaClient, AlertEvent } from '@prisma/client';
+
+// Content of a notification, independent of the channel it is delivered through
+export interface Notification {
+  title: string;
+  message: string;
+  url: string;
+  price: number;
+  currency: string;
+  ruleId: number;
+  ruleName: string;
+  alertEventId: number;
+  ticketId: number;
+  itineraryId: number | null;
+  createdAt: string;
+}
+
+// A channel adapter formats a notification into its wire payload and delivers it.
+// New channels only need to implement this interface and be added to the channel list.
+export interface NotificationChannel {
+  name: string;
+  target: string;
+  formatPayload(notification: Notification): string;
+  deliver(payload: string): Promise<void>;
+}
+
+const HTTP_TIMEOUT_MS = 5000;
+
+export interface EmailChannelOptions {
+  host: string;
+  port: number;
+  secure?: boolean;
+  user?: string;
+  pass?: string;
+  from: string;
+  to: string;
+}
+
+// SMTP email; point host/port at a local catcher (e.g. MailHog on 1025) to inspect messages
+export function createEmailChannel(options: EmailChannelOptions): NotificationChannel {
+  const transport = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure ?? options.port === 465,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'email',
+    target: options.to,
+    formatPayload(notification) {
+      return JSON.stringify({
+        from: options.from,
+        to: options.to,
+        subject: notification.title,
+        text: `${notification.message}\n\nView on Aviasales: ${notification.url}`
+      });
+    },
+    async deliver(payload) {
+      await transport.sendMail(JSON.parse(payload));
+    }
+  };
+}
+
+export const WEBHOOK_SIGNATURE_HEADER = 'X-Flight-Tracker-Signature';
+
+// HMAC-SHA256 of the raw request body, hex encoded and prefixed with "sha256="
+export function signWebhookPayload(payload: string, secret: string): string {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+// Generic HTTP webhook receiving the notification as JSON, signed when a secret is configured
+export function createWebhookChannel(options: { url: string; secret?: string }): NotificationChannel {
+  return {
+    name: 'webhook',
+    target: options.url,
+    formatPayload(notification) {
+      return JSON.stringify({ event: 'fare_alert', ...notification });
+    },
+    async deliver(payload) {
+      const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+      if (options.secret) {
+        headers[WEBHOOK_SIGNATURE_HEADER] = signWebhookPayload(payload, options.secret);
+      }
+      await axios.post(options.url, payload, { headers, timeout: HTTP_TIMEOUT_MS });
+    }
+  };
+}
+
+// Slack-compatible incoming webhook ({ text } message with mrkdwn link)
+export function createSlackChannel(options: { url: string }): NotificationChannel {
+  return {
+    name: 'slack',
+    target: options.url,
+    formatPayload(notification) {
+      return JSON.stringify({
+        text: `*${notification.title}*\n${notification.message}\n<${notification.url}|View on Aviasales>`
+      });
+    },
+    async deliver(payload) {
+      await axios.post(options.url, payload, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: HTTP_TIMEOUT_MS
+      });
+    }
+  };
+}
+
+// Where fired alerts are delivered. The operator's channels (ALERT_EMAIL_TO, the webhook and Slack) only
+// receive the alerts of rules without an owner, such as those created with the cron secret; the alerts of
+// a user's rules are emailed to the address of their account, so no account's routes or prices reach
+// another recipient.
+export interface NotificationChannels {
+  operator: NotificationChannel[];
+  // Email channel to the owner of a rule (null without SMTP)
+  owner: ((email: string) => NotificationChannel) | null;
+}
+
+// Channels to deliver alerts through (null when not configured) and the retries of each delivery.
+// email is the SMTP server, with the operator's address in to (null to email rule owners only).
+export interface NotificationConfig {
+  email: (Omit<EmailChannelOptions, 'to'> & { to: string | null }) | null;
+  webhook: { url: string; secret?: string } | null;
+  slack: { url: string } | null;
+  retry: RetryOptions;
+}
+
+// Configuration from the SMTP_*, ALERT_EMAIL_*, ALERT_WEBHOOK_*, SLACK_WEBHOOK_URL and NOTIFY_* variables;
+// a channel is configured when its variables are set
+export function getNotificationConfigFromEnv(env: NodeJS.ProcessEnv = process.env): NotificationConfig {
+  return {
+    email: env.SMTP_HOST
+      ? {
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT || '587'),
+        secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.ALERT_EMAIL_FROM || 'flight-tracker@localhost',
+        to: env.ALERT_EMAIL_TO || null
+      }
+      : null,
+    webhook: env.ALERT_WEBHOOK_URL ? { url: env.ALERT_WEBHOOK_URL, secret: env.ALERT_WEBHOOK_SECRET } : null,
+    slack: env.SLACK_WEBHOOK_URL ? { url: env.SLACK_WEBHOOK_URL } : null,
+    retry: getRetryOptionsFromEnv(env)
+  };
+}
+
+// Build the configured channels; unset channels are skipped
+export function createChannels(config: Omit<NotificationConfig, 'retry'>): NotificationChannels {
+  const email = config.email;
+  const operator: NotificationChannel[] = [];
+  if (email?.to) {
+    operator.push(createEmailChannel({ ...email, to: email.to }));
+  }
+  if (config.webhook) {
+    operator.push(createWebhookChannel(config.webhook));
+  }
+  if (config.slack) {
+    operator.push(createSlackChannel(config.slack));
+  }
+  return {
+    operator,
+    owner: email ? to => createEmailChannel({ ...email, to }) : null
+  };
+}
+
+export function createChannelsFromEnv(env: NodeJS.ProcessEnv = process.env): NotificationChannels {
+  return createChannels(getNotificationConfigFromEnv(env));
+}
+
+export interface RetryOptions {
+  maxAttempts: number;
+  baseDelayMs: number;
+}
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_BASE_MS = 500;
+
+function parseSetting(value: string | undefined, fallback: number, min: number): number {
+  const number = parseInt(value || '');
+  return Number.isInteger(number) && number >= min ? number : fallback;
+}
+
+// Retries from NOTIFY_MAX_ATTEMPTS (3 by default) and NOTIFY_RETRY_BASE_MS (500 by default),
+// read on each delivery so that values loaded from .env apply
+export function getRetryOptionsFromEnv(env: NodeJS.ProcessEnv = process.env): RetryOptions {
+  return {
+    maxAttempts: parseSetting(env.NOTIFY_MAX_ATTEMPTS, DEFAULT_MAX_ATTEMPTS, 1),
+    baseDelayMs: parseSetting(env.NOTIFY_RETRY_BASE_MS, DEFAULT_RETRY_BASE_MS, 0)
+  };
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Deliver a payload, retrying with exponential backoff (base, 2x base, 4x base, ...)
+export async function deliverWithRetry(
+  channel: NotificationChannel,
+  payload: string,
+  retry: RetryOptions = getRetryOptionsFromEnv()
+): Promise<{ attempts: number; error?: string }> {
+  let lastError = '';
+
+  for (let attempt = 1; attempt <= retry.maxAttempts; attempt++) {
+    try {
+      await channel.deliver(payload);
+      return { attempts: attempt };
+    } catch (error: any) {
+      lastError = error.response
+        ? `HTTP ${error.response.status}: ${error.message}`
+        : error.message || 'Unknown error';
+      console.error(`Delivery via ${channel.name} failed (attempt ${attempt}/${retry.maxAttempts}): ${lastError}`);
+
+      if (attempt < retry.maxAttempts) {
+        await sleep(retry.baseDelayMs * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  return { attempts: retry.maxAttempts, error: lastError };
+}
+
+// Build the notification for a fired alert event, with the owner of its rule (null for rules without one)
+async function buildNotification(
+  client: PrismaClient,
+  event: AlertEvent
+): Promise<{ notification: Notification; owner: { email: string } | null } | null> {
+  const fullEvent = await client.alertEvent.findUnique({
+    where: { id: event.id },
+    include: { rule: { include: { user: true } }, ticket: true }
+  });
+  if (!fullEvent) {
+    return null;
+  }
+
+  const notification: Notification = {
+    title: `Fare alert: ${fullEvent.rule.name}`,
+    message: fullEvent.message,
+    url: fullEvent.ticket.ticketLink,
+    price: fullEvent.price,
+    currency: fullEvent.currency,
+    ruleId: fullEvent.ruleId,
+    ruleName: fullEvent.rule.name,
+    alertEventId: fullEvent.id,
+    ticketId: fullEvent.ticketId,
+    itineraryId: fullEvent.itineraryId,
+    createdAt: fullEvent.createdAt.toISOString()
+  };
+  return { notification, owner: fullEvent.rule.user };
+}
+
+// Deliver fired alert events through the channels of their rule (see NotificationChannels) and
+// record each delivery. Failures are logged in the NotificationDelivery table and never thrown.
+export async function notifyAlertEvents(
+  client: PrismaClient,
+  events: AlertEvent[],
+  channels: NotificationChannels = createChannelsFromEnv(),
+  retry: RetryOptions = getRetryOptionsFromEnv()
+): Promise<number> {
+  if (events.length === 0 || (channels.operator.length === 0 && !channels.owner)) {
+    return 0;
+  }
+
+  let deliveredCount = 0;
+
+  for (const event of events) {
+    const built = await buildNotification(client, event);
+    if (!built) continue;
+    const { notification, owner } = built;
+
+    // The owner's email for a user's rule, the operator's channels otherwise
+    const eventChannels = owner
+      ? (channels.owner ? [channels.owner(owner.email)] : [])
+      : channels.operator;
+
+    for (const channel of eventChannels) {
+      const payload = channel.formatPayload(notification);
+      const delivery = await client.notificationDelivery.create({
+        data: {
+          alertEventId: event.id,
+          channel: channel.name,
+          target: channel.target,
+          status: 'pending',
+          payload
+        }
+      });
+
+      const { attempts, error } = await deliverWithRetry(channel, payload, retry);
+
+      await client.notificationDelivery.update({
+        where: { id: delivery.id },
+        data: {
+          status: error ? 'failed' : 'sent',
+          attempts,
+          error: error ?? null,
+          deliveredAt: error ? null : new Date()
+        }
+      });
+
+      if (!error) {
+        console.log(`📨 Alert event ${event.id} delivered via ${channel.name}`);
+        deliveredCount++;
+      }
+    }
+  }
+
+  return deliveredCount;
+}
@@ -0,0 +1,311 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { PrismaClient, Prisma, Airport, City, Airline } from '@prisma/client';
+
+// Reference data shipped with the repository: the busiest airports, their metro areas and airlines.
+// The full OurAirports airports.csv (https://ourairports.com/data/) can be imported the same way.
+export const DEFAULT_PLACES_DIR = 'data/places';
+
+export const PLACE_DATASETS = ['airports', 'cities', 'airlines'] as const;
+export type PlaceDataset = typeof PLACE_DATASETS[number];
+
+export const DEFAULT_PLACE_RESULTS = 10;
+export const MAX_PLACE_RESULTS = 25;
+// Rows fetched per table before ranking
+const MAX_CANDIDATES = 50;
+const IMPORT_BATCH_SIZE = 500;
+
+const IATA_AIRPORT_CODE = /^[A-Z]{3}$/;
+const IATA_AIRLINE_CODE = /^[A-Z0-9]{2}$/;
+
+export class PlaceDataError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'PlaceDataError';
+  }
+}
+
+export interface PlaceResult {
+  type: 'city' | 'airport';
+  code: string;
+  name: string;
+  countryCode: string | null;
+  // Airports: the municipality and the metro-area code covering the airport
+  city?: string | null;
+  cityCode?: string | null;
+  // Cities: the airports covered by the code
+  airports?: string[];
+}
+
+// RFC 4180 CSV with a header row -> one record per row keyed by the header names
+export function parseCsv(content: string): Record<string, string>[] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(cells => cells.some(value => value.trim() !== ''));
+  const names = header.map(name => name.trim().toLowerCase());
+  return records.map(cells => Object.fromEntries(names.map((name, index) => [name, (cells[index] ?? '').trim()])));
+}
+
+function requireColumns(records: Record<string, string>[], dataset: PlaceDataset, columns: string[]) {
+  const missing = columns.filter(column => records.length > 0 && !(column in records[0]));
+  if (records.length === 0 || missing.length > 0) {
+    throw new PlaceDataError(`The ${dataset} CSV needs a header row with the columns ${columns.join(', ')}`);
+  }
+}
+
+type AirportData = Omit<Airport, 'updatedAt'>;
+type CityData = Omit<City, 'updatedAt'>;
+type AirlineData = Omit<Airline, 'updatedAt'>;
+
+// OurAirports airports.csv: rows without an IATA code, closed airports and airports
+// without scheduled service (when the file says so) are skipped
+export function parseAirportsCsv(content: string): AirportData[] {
+  const records = parseCsv(content);
+  requireColumns(records, 'airports', ['iata_code', 'name']);
+  return records
+    .filter(record => IATA_AIRPORT_CODE.test(record.iata_code.toUpperCase()))
+    .filter(record => record.type !== 'closed' && record.scheduled_service !== 'no')
+    .map(record => ({
+      code: record.iata_code.toUpperCase(),
+      name: record.name,
+      city: record.municipality || null,
+      countryCode: record.iso_country || null,
+      type: record.type || null
+    }));
+}
+
+// City and metro-area codes: iata_code, name, iso_country and the airports they cover,
+// separated by spaces or commas ("YUL YHU")
+export function parseCitiesCsv(content: string): CityData[] {
+  const records = parseCsv(content);
+  requireColumns(records, 'cities', ['iata_code', 'name', 'airports']);
+  return records
+    .filter(record => IATA_AIRPORT_CODE.test(record.iata_code.toUpperCase()))
+    .map(record => ({
+      code: record.iata_code.toUpperCase(),
+      name: record.name,
+      countryCode: record.iso_country || null,
+      airportCodes: record.airports.split(/[\s,]+/).map(code => code.toUpperCase()).filter(code => IATA_AIRPORT_CODE.test(code))
+    }));
+}
+
+// Airlines: iata_code, name and optionally iso_country
+export function parseAirlinesCsv(content: string): AirlineData[] {
+  const records = parseCsv(content);
+  requireColumns(records, 'airlines', ['iata_code', 'name']);
+  return records
+    .filter(record => IATA_AIRLINE_CODE.test(record.iata_code.toUpperCase()))
+    .map(record => ({
+      code: record.iata_code.toUpperCase(),
+      name: record.name,
+      countryCode: record.iso_country || null
+    }));
+}
+
+async function upsertInBatches<T extends { code: string }>(
+  rows: T[],
+  upsert: (row: T) => Prisma.PrismaPromise<unknown>,
+  client: PrismaClient
+): Promise<number> {
+  for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+    await client.$transaction(rows.slice(start, start + IMPORT_BATCH_SIZE).map(upsert));
+  }
+  return rows.length;
+}
+
+// Store the rows of a CSV file, replacing the stored rows with the same codes
+export async function importPlaces(client: PrismaClient, dataset: PlaceDataset, content: string): Promise<number> {
+  switch (dataset) {
+    case 'airports':
+      return upsertInBatches(parseAirportsCsv(content), ({ code, ...data }) => client.airport.upsert({
+        where: { code },
+        create: { code, ...data },
+        update: data
+      }), client);
+    case 'cities':
+      return upsertInBatches(parseCitiesCsv(content), ({ code, ...data }) => client.city.upsert({
+        where: { code },
+        create: { code, ...data },
+        update: data
+      }), client);
+    case 'airlines':
+      return upsertInBatches(parseAirlinesCsv(content), ({ code, ...data }) => client.airline.upsert({
+        where: { code },
+        create: { code, ...data },
+        update: data
+      }), client);
+  }
+}
+
+// Import the <dataset>.csv files of a directory (the bundled dataset by default)
+export async function importPlacesDirectory(
+  client: PrismaClient,
+  directory: string = DEFAULT_PLACES_DIR
+): Promise<Record<PlaceDataset, number>> {
+  const counts = {} as Record<PlaceDataset, number>;
+  for (const dataset of PLACE_DATASETS) {
+    const content = await fs.readFile(path.join(directory, `${dataset}.csv`), 'utf8');
+    counts[dataset] = await importPlaces(client, dataset, content);
+  }
+  return counts;
+}
+
+// Rank of a place for a query: exact code, then a name or city starting with the query, then the rest
+function matchRank(query: string, code: string, names: (string | null)[]): number {
+  if (code === query.toUpperCase()) return 0;
+  const lower = query.toLowerCase();
+  return names.some(name => name?.toLowerCase().startsWith(lower)) ? 1 : 2;
+}
+
+// Autocomplete over the stored cities and airports by code, name and city. A matching city or
+// metro area is followed by its airports, so "montreal" suggests YMQ, YUL and YHU.
+export async function searchPlaces(client: PrismaClient, query: string, limit = DEFAULT_PLACE_RESULTS): Promise<PlaceResult[]> {
+  const text = query.trim();
+  const code = text.toUpperCase();
+  const contains = { contains: text, mode: 'insensitive' as const };
+
+  const [cities, matchingAirports] = await Promise.all([
+    client.city.findMany({ where: { OR: [{ code }, { name: contains }] }, orderBy: { code: 'asc' }, take: MAX_CANDIDATES }),
+    client.airport.findMany({ where: { OR: [{ code }, { name: contains }, { city: contains }] }, take: MAX_CANDIDATES })
+  ]);
+
+  const matchedCodes = new Set(matchingAirports.map(airport => airport.code));
+  const cityAirportCodes = cities.flatMap(city => city.airportCodes).filter(airportCode => !matchedCodes.has(airportCode));
+  const cityAirports = cityAirportCodes.length > 0
+    ? await client.airport.findMany({ where: { code: { in: cityAirportCodes } } })
+    : [];
+  const airports = [...matchingAirports, ...cityAirports];
+  // City codes of the airports that no matching city covers
+  const metroAreas = await loadMetroAreas(client, null, airports
+    .filter(airport => !cities.some(city => city.airportCodes.includes(airport.code)))
+    .map(airport => airport.code));
+
+  const ranked: { place: PlaceResult; rank: number; order: number }[] = [];
+  for (const city of cities) {
+    const rank = matchRank(text, city.code, [city.name]);
+    ranked.push({
+      place: { type: 'city', code: city.code, name: city.name, countryCode: city.countryCode, airports: city.airportCodes },
+      rank,
+      order: 0
+    });
+  }
+  for (const airport of airports) {
+    // Airports found through their city rank with it, right after it; the best-ranked matching city
+    // (then the first by code) is their city. Without one they rank by their own match only.
+    const parents = cities
+      .filter(city => city.airportCodes.includes(airport.code))
+      .map(city => ({ code: city.code, rank: matchRank(text, city.code, [city.name]) }))
+      .sort((a, b) => a.rank - b.rank || a.code.localeCompare(b.code));
+    const parentRank = parents.length > 0 ? parents[0].rank : 2;
+    const rank = Math.min(matchRank(text, airport.code, [airport.name, airport.city]), parentRank);
+    ranked.push({
+      place: {
+        type: 'airport',
+        code: airport.code,
+        name: airport.name,
+        city: airport.city,
+        countryCode: airport.countryCode,
+        cityCode: parents.length > 0 ? parents[0].code : metroAreas.cityOf(airport.code)
+      },
+      rank,
+      order: airport.type === 'large_airport' ? 1 : 2
+    });
+  }
+
+  return ranked
+    .sort((a, b) => a.rank - b.rank || a.order - b.order || a.place.name.localeCompare(b.place.name))
+    .slice(0, limit)
+    .map(({ place }) => place);
+}
+
+export interface MetroAreas {
+  // The airport codes a place code stands for: the airports of a city or metro-area code,
+  // or the code itself. The city code is kept so tickets stored under it still match.
+  expand(code: string): string[];
+  // Whether a place code covers an airport code, e.g. YMQ covers YUL
+  covers(code: string, airportCode: string): boolean;
+  // The city or metro-area code of an airport
+  cityOf(airportCode: string): string | null;
+}
+
+export function createMetroAreas(cities: Pick<City, 'code' | 'airportCodes'>[]): MetroAreas {
+  const airportsByCity = new Map(cities.map(city => [city.code, city.airportCodes]));
+  return {
+    expand(code) {
+      const airports = airportsByCity.get(code);
+      return airports ? [code, ...airports.filter(airport => airport !== code)] : [code];
+    },
+    covers(code, airportCode) {
+      return this.expand(code).includes(airportCode);
+    },
+    // The first covering city in the given order (loadMetroAreas orders them by code)
+    cityOf(airportCode) {
+      return cities.find(city => city.airportCodes.includes(airportCode))?.code ?? null;
+    }
+  };
+}
+
+// Metro areas of the given city codes and/or of the cities covering the given airports,
+// or every stored one when both are null
+export async function loadMetroAreas(
+  client: PrismaClient,
+  codes: (string | null | undefined)[] | null = null,
+  airportCodes: string[] | null = null
+): Promise<MetroAreas> {
+  if (codes === null && airportCodes === null) {
+    return createMetroAreas(await client.city.findMany({ orderBy: { code: 'asc' } }));
+  }
+  const cityCodes = (codes ?? []).filter((code): code is string => Boolean(code));
+  const conditions = [
+    ...(cityCodes.length > 0 ? [{ code: { in: cityCodes } }] : []),
+    ...(airportCodes && airportCodes.length > 0 ? [{ airportCodes: { hasSome: airportCodes } }] : [])
+  ];
+  if (conditions.length === 0) {
+    return createMetroAreas([]);
+  }
+  return createMetroAreas(await client.city.findMany({ where: { OR: conditions }, orderBy: { code: 'asc' } }));
+}
+
+// Names of the stored airlines among the given codes, e.g. AC -> Air Canada
+export async function loadAirlineNames(client: PrismaClient, codes: (string | null | undefined)[]): Promise<Map<string, string>> {
+  const unique = [...new Set(codes.filter((code): code is string => Boolean(code)))];
+  if (unique.length === 0) {
+    return new Map();
+  }
+  const airlines = await client.airline.findMany({ where: { code: { in: unique } } });
+  return new Map(airlines.map(airline => [airline.code, airline.name]));
+}
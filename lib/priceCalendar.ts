@@ -0,0 +1,232 @@
+import { PrismaClient, PriceCalendarFare } from '@prisma/client';
+import { TravelpayoutsClient } from './travelpayouts.js';
+import { normalizeTicketLink } from './priceHistory.js';
+
+export const MAX_STAY_DAYS = 30;
+export const MAX_STAY_RANGE = 14;
+
+// Departure days are swept in windows of this many days, one round-trip query each
+const SWEEP_WINDOW_DAYS = 7;
+const SWEEP_FETCH_LIMIT = 100;
+const DEFAULT_CACHE_TTL_MINUTES = 360;
+
+export interface PriceCalendarRequest {
+  origin: string;
+  destination: string;
+  // YYYY-MM
+  month: string;
+  minStay: number;
+  maxStay: number;
+  currency: string;
+  refresh?: boolean;
+}
+
+export interface PriceCalendarCell {
+  departDate: string;
+  returnDate: string;
+  stay: number;
+  price: number;
+  ticketLink: string;
+}
+
+// "2025-07-25" + 3 days -> "2025-07-28" (dates are handled in UTC to avoid DST shifts)
+export function addDays(date: string, days: number): string {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().substring(0, 10);
+}
+
+// Whole days from one YYYY-MM-DD date to another
+export function daysBetween(from: string, to: string): number {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// Every day of a YYYY-MM month
+export function daysOfMonth(month: string): string[] {
+  const days: string[] = [];
+  for (let day = `${month}-01`; day.startsWith(month); day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+// Parse "7" or "5-9" into a stay range in days
+export function parseStayRange(value: string | undefined): { minStay: number; maxStay: number } | null {
+  const match = /^(\d{1,2})(?:-(\d{1,2}))?$/.exec(value ?? '7');
+  if (!match) return null;
+  const minStay = parseInt(match[1]);
+  const maxStay = match[2] !== undefined ? parseInt(match[2]) : minStay;
+  if (minStay < 1 || maxStay > MAX_STAY_DAYS || minStay > maxStay || maxStay - minStay > MAX_STAY_RANGE) {
+    return null;
+  }
+  return { minStay, maxStay };
+}
+
+// Query the month window by window and keep the cheapest fare per date pair
+async function sweepMonth(travelpayouts: TravelpayoutsClient, request: PriceCalendarRequest): Promise<PriceCalendarCell[]> {
+  const days = daysOfMonth(request.month);
+  const cheapest = new Map<string, PriceCalendarCell>();
+
+  for (let start = 0; start < days.length; start += SWEEP_WINDOW_DAYS) {
+    const departDateMin = days[start];
+    const departDateMax = days[Math.min(start + SWEEP_WINDOW_DAYS, days.length) - 1];
+
+    const tickets = await travelpayouts.searchRoundTrip({
+      origin: request.origin,
+      destination: request.destination,
+      departDateMin,
+      departDateMax,
+      returnDateMin: addDays(departDateMin, request.minStay),
+      returnDateMax: addDays(departDateMax, request.maxStay),
+      currency: request.currency,
+      // Same default as flight search, so a clicked cell is found again by the search form
+      noLowcost: true,
+      limit: SWEEP_FETCH_LIMIT
+    });
+
+    for (const ticket of tickets) {
+      if (!ticket.return_at) continue;
+      // Local dates at the airports, as shown to travellers
+      const departDate = ticket.departure_at.substring(0, 10);
+      const returnDate = ticket.return_at.substring(0, 10);
+      const stay = daysBetween(departDate, returnDate);
+      if (!departDate.startsWith(request.month) || stay < request.minStay || stay > request.maxStay) continue;
+
+      const key = `${departDate}|${returnDate}`;
+      const existing = cheapest.get(key);
+      if (!existing || ticket.value < existing.price) {
+        cheapest.set(key, {
+          departDate,
+          returnDate,
+          stay,
+          price: ticket.value,
+          ticketLink: normalizeTicketLink(ticket.ticket_link)
+        });
+      }
+    }
+  }
+
+  return [...cheapest.values()];
+}
+
+// Store a sweep. The month's cached fares are replaced, so sweeps of other stay ranges
+// for the same month are dropped with them.
+async function cacheSweep(client: PrismaClient, request: PriceCalendarRequest, cells: PriceCalendarCell[]) {
+  const route = {
+    origin: request.origin,
+    destination: request.destination,
+    currency: request.currency
+  };
+  const fetchedAt = new Date();
+
+  await client.$transaction([
+    client.priceCalendarFare.deleteMany({
+      where: { ...route, departDate: { startsWith: request.month } }
+    }),
+    client.priceCalendarSweep.deleteMany({
+      where: { ...route, month: request.month }
+    }),
+    client.priceCalendarFare.createMany({
+      data: cells.map(cell => ({
+        ...route,
+        departDate: cell.departDate,
+        returnDate: cell.returnDate,
+        price: cell.price,
+        ticketLink: cell.ticketLink,
+        fetchedAt
+      }))
+    }),
+    client.priceCalendarSweep.create({
+      data: {
+        ...route,
+        month: request.month,
+        minStay: request.minStay,
+        maxStay: request.maxStay,
+        fetchedAt
+      }
+    })
+  ]);
+}
+
+// How long swept fares are reused: PRICE_CALENDAR_TTL_MINUTES (0 turns the cache off)
+export function priceCalendarTtlMinutes(env: NodeJS.ProcessEnv = process.env): number {
+  const minutes = parseInt(env.PRICE_CALENDAR_TTL_MINUTES || '');
+  return Number.isInteger(minutes) && minutes >= 0 ? minutes : DEFAULT_CACHE_TTL_MINUTES;
+}
+
+// Fresh sweep covering the requested stay range, if there is one
+async function findFreshSweep(client: PrismaClient, request: PriceCalendarRequest, ttlMinutes: number) {
+  return client.priceCalendarSweep.findFirst({
+    where: {
+      origin: request.origin,
+      destination: request.destination,
+      currency: request.currency,
+      month: request.month,
+      minStay: { lte: request.minStay },
+      maxStay: { gte: request.maxStay },
+      fetchedAt: { gte: new Date(Date.now() - ttlMinutes * 60000) }
+    },
+    orderBy: { fetchedAt: 'desc' }
+  });
+}
+
+function toCell(fare: PriceCalendarFare): PriceCalendarCell {
+  return {
+    departDate: fare.departDate,
+    returnDate: fare.returnDate,
+    stay: daysBetween(fare.departDate, fare.returnDate),
+    price: fare.price,
+    ticketLink: fare.ticketLink
+  };
+}
+
+// Cheapest fare per departure day (rows) and stay length (columns) for a month
+export async function getPriceCalendar(
+  client: PrismaClient,
+  travelpayouts: TravelpayoutsClient,
+  request: PriceCalendarRequest,
+  ttlMinutes: number = priceCalendarTtlMinutes()
+) {
+  const sweep = request.refresh ? null : await findFreshSweep(client, request, ttlMinutes);
+  let cells: PriceCalendarCell[];
+
+  if (sweep) {
+    console.log(`Serving price calendar for ${request.origin}-${request.destination} ${request.month} from cache`);
+    const fares = await client.priceCalendarFare.findMany({
+      where: {
+        origin: request.origin,
+        destination: request.destination,
+        currency: request.currency,
+        departDate: { startsWith: request.month }
+      }
+    });
+    cells = fares.map(toCell).filter(cell => cell.stay >= request.minStay && cell.stay <= request.maxStay);
+  } else {
+    cells = await sweepMonth(travelpayouts, request);
+    await cacheSweep(client, request, cells);
+  }
+
+  const departDates = daysOfMonth(request.month);
+  const stays: number[] = [];
+  for (let stay = request.minStay; stay <= request.maxStay; stay++) {
+    stays.push(stay);
+  }
+
+  const byPair = new Map(cells.map(cell => [`${cell.departDate}|${cell.stay}`, cell]));
+  const matrix = departDates.map(departDate => stays.map(stay => byPair.get(`${departDate}|${stay}`) || null));
+  const prices = cells.map(cell => cell.price);
+
+  return {
+    origin: request.origin,
+    destination: request.destination,
+    month: request.month,
+    currency: request.currency,
+    cached: Boolean(sweep),
+    fetchedAt: sweep ? sweep.fetchedAt : new Date(),
+    departDates,
+    stays,
+    matrix,
+    minPrice: prices.length > 0 ? Math.min(...prices) : null,
+    maxPrice: prices.length > 0 ? Math.max(...prices) : null
+  };
+}
@@ -0,0 +1,328 @@
+import { PrismaClient, Prisma, Ticket, Itinerary } from '@prisma/client';
+import { TicketData, TripType } from './types.js';
+import { parseSegments, flightChain } from './segments.js';
+
+export interface ObservationOptions {
+  currency: string;
+  tripType?: TripType | string;
+  routeId?: number | null;
+  // Owner of the search or tracked route the ticket was found by
+  userId?: number | null;
+  // Observation window (observationWindowMinutes() by default)
+  windowMinutes?: number;
+}
+
+export interface ObservationResult {
+  ticket: Ticket;
+  itinerary: Itinerary;
+  newItinerary: boolean;
+  // False when the observation updated a ticket stored earlier in the same observation window
+  newObservation: boolean;
+}
+
+const DEFAULT_OBSERVATION_WINDOW_MINUTES = 60;
+
+// Observations of an itinerary within this many minutes (OBSERVATION_WINDOW_MINUTES, 60 by default)
+// are stored as one ticket, so overlapping price checks do not insert duplicates
+export function observationWindowMinutes(env: NodeJS.ProcessEnv = process.env): number {
+  const minutes = parseInt(env.OBSERVATION_WINDOW_MINUTES || '');
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_OBSERVATION_WINDOW_MINUTES;
+}
+
+// Identity of an observation: itinerary, currency, owner and the window (counted from the epoch) it was made in.
+// The maintenance jobs compute the same window in SQL.
+export function buildObservationKey(fields: {
+  itineraryId: number;
+  currency: string;
+  userId: number | null;
+  observedAt: Date;
+  windowMinutes: number;
+}): string {
+  const windowIndex = Math.floor(fields.observedAt.getTime() / (fields.windowMinutes * 60000));
+  return [
+    fields.itineraryId,
+    fields.currency,
+    fields.userId ?? '',
+    `${fields.windowMinutes}m`,
+    windowIndex
+  ].join('|');
+}
+
+// Ensure ticket_link is properly formatted
+export function normalizeTicketLink(ticketLink: string): string {
+  return ticketLink.startsWith('http')
+    ? ticketLink
+    : `https://www.aviasales.com/search${ticketLink}`;
+}
+
+// Stable identity of an itinerary: trip type, route, dates and flight numbers
+// (the flights are the "+"-joined chain of each segment, a single number for direct flights)
+export function buildItineraryKey(fields: {
+  tripType: string;
+  origin: string;
+  destination: string;
+  departureAt: string;
+  returnAt: string | null;
+  outboundFlight: string;
+  returnFlight: string | null;
+}): string {
+  return [
+    fields.tripType,
+    fields.origin,
+    fields.destination,
+    fields.departureAt,
+    fields.returnAt ?? '',
+    fields.outboundFlight,
+    fields.returnFlight ?? ''
+  ].join('|');
+}
+
+// Trip type, segments, identity and itinerary key of a ticket returned by the API
+function describeItinerary(ticket: TicketData, tripTypeOption: TripType | string | undefined) {
+  const tripType: TripType = tripTypeOption === 'one_way' ? 'one_way' : 'round_trip';
+
+  // Parse every segment and flight leg; origin/destination are the ends of the outbound segment
+  const segments = parseSegments(ticket);
+  const outbound = segments[0];
+  const inbound = tripType === 'round_trip' ? segments[1] : undefined;
+
+  const outboundFlight = outbound?.legs[0]?.flightNumber || "Unknown";
+  const outboundAirline = outbound?.legs[0]?.carrier || "Unknown";
+
+  // One-way tickets have no return flight
+  let returnFlight: string | null = null;
+  let returnAirline: string | null = null;
+  if (tripType === 'round_trip') {
+    returnFlight = inbound?.legs[0]?.flightNumber || "Unknown";
+    returnAirline = inbound?.legs[0]?.carrier || "Unknown";
+  }
+
+  const returnAt = tripType === 'round_trip' ? ticket.return_at ?? null : null;
+  const origin = outbound?.origin || "Unknown";
+  const destination = outbound?.destination || "Unknown";
+
+  const identity = {
+    tripType,
+    origin,
+    destination,
+    departureAt: ticket.departure_at,
+    returnAt,
+    outboundFlight,
+    returnFlight
+  };
+
+  // The key uses the whole flight chain so connections on different flights are different itineraries
+  const key = buildItineraryKey({
+    ...identity,
+    outboundFlight: flightChain(outbound),
+    returnFlight: tripType === 'round_trip' ? flightChain(inbound) : null
+  });
+
+  return { tripType, segments, outbound, inbound, outboundAirline, returnAirline, identity, key };
+}
+
+// Ids of the stored itineraries of tickets returned by the API, without recording an observation
+// (undefined for itineraries that were never stored)
+export async function findItineraryIds(
+  client: PrismaClient,
+  tickets: TicketData[],
+  tripType: TripType | string
+): Promise<(number | undefined)[]> {
+  const keys = tickets.map(ticket => describeItinerary(ticket, tripType).key);
+  const itineraries = await client.itinerary.findMany({ where: { key: { in: keys } }, select: { id: true, key: true } });
+  const ids = new Map(itineraries.map(itinerary => [itinerary.key, itinerary.id]));
+  return keys.map(key => ids.get(key));
+}
+
+// Record one price observation for a ticket returned by the API.
+// The itinerary (trip type, route, dates and flights) is created the first time it is seen;
+// each observation window stores one Ticket row with the latest price observed in it.
+export async function recordTicketObservation(
+  client: PrismaClient,
+  ticket: TicketData,
+  options: ObservationOptions
+): Promise<ObservationResult> {
+  const { segments, outbound, inbound, outboundAirline, returnAirline, identity, key } = describeItinerary(ticket, options.tripType);
+  const observedAt = new Date();
+
+  const itinerary = await client.itinerary.upsert({
+    where: { key },
+    create: {
+      ...identity,
+      key,
+      outboundAirline,
+      returnAirline,
+      firstSeenAt: observedAt,
+      lastSeenAt: observedAt
+    },
+    update: {
+      lastSeenAt: observedAt
+    }
+  });
+
+  const currency = options.currency.toLowerCase();
+  const userId = options.userId ?? null;
+  const observationKey = buildObservationKey({
+    itineraryId: itinerary.id,
+    currency,
+    userId,
+    observedAt,
+    windowMinutes: options.windowMinutes ?? observationWindowMinutes()
+  });
+
+  // A repeated observation keeps the row (and its segments) and takes the latest price
+  const latest = {
+    price: ticket.value,
+    tripDuration: ticket.trip_duration,
+    ticketLink: normalizeTicketLink(ticket.ticket_link)
+  };
+
+  const create: Prisma.TicketUncheckedCreateInput = {
+    ...identity,
+    ...latest,
+    currency,
+    outboundAirline,
+    returnAirline,
+    outboundStops: outbound ? outbound.stops : null,
+    returnStops: inbound ? inbound.stops : null,
+    routeId: options.routeId ?? null,
+    userId,
+    itineraryId: itinerary.id,
+    observationKey,
+    createdAt: observedAt,
+    segments: {
+      create: segments.map(segment => ({
+        position: segment.position,
+        origin: segment.origin,
+        destination: segment.destination,
+        departureAt: segment.departureAt,
+        arrivalAt: segment.arrivalAt,
+        stops: segment.stops,
+        durationMinutes: segment.durationMinutes,
+        layoverMinutes: segment.layoverMinutes,
+        legs: {
+          create: segment.legs.map(leg => ({
+            position: leg.position,
+            origin: leg.origin,
+            destination: leg.destination,
+            departureAt: leg.departureAt,
+            arrivalAt: leg.arrivalAt,
+            flightNumber: leg.flightNumber,
+            carrier: leg.carrier,
+            aircraftCode: leg.aircraftCode,
+            layoverMinutes: leg.layoverMinutes
+          }))
+        }
+      }))
+    }
+  };
+
+  // upsert reads and then writes, so a concurrent check may insert the same key in between;
+  // the retry then finds that row and updates it
+  const upsertTicket = () => client.ticket.upsert({
+    where: { observationKey },
+    create,
+    update: { ...latest, ...(options.routeId ? { routeId: options.routeId } : {}) }
+  });
+  let storedTicket: Ticket;
+  try {
+    storedTicket = await upsertTicket();
+  } catch (error) {
+    if (!(error instanceof Prisma.PrismaClientKnownRequestError) || error.code !== 'P2002') {
+      throw error;
+    }
+    storedTicket = await upsertTicket();
+  }
+
+  return {
+    ticket: storedTicket,
+    itinerary,
+    newItinerary: itinerary.firstSeenAt.getTime() === observedAt.getTime(),
+    newObservation: storedTicket.createdAt.getTime() === observedAt.getTime()
+  };
+}
+
+export interface PricePoint {
+  // The observed ticket; on a compacted day the cheapest one, null once retention has removed it
+  ticketId: number | null;
+  price: number;
+  currency: string;
+  ticketLink: string | null;
+  observedAt: Date;
+  change: number | null;
+  // Compacted days (see runMaintenance) have one point at the start of the UTC day with the
+  // lowest price of the day, and its highest and average price and number of observations
+  daily?: { maxPrice: number; averagePrice: number; observations: number };
+}
+
+// Price time series for an itinerary, oldest observation first, limited to the tickets matching
+// owner (the ownedBy filter of the caller, empty for admins). Days that have been compacted are
+// read from their daily aggregates, so the summary still counts every observation.
+// Returns null when the itinerary does not exist.
+export async function getItineraryHistory(client: PrismaClient, itineraryId: number, owner: { userId?: number } = {}) {
+  const itinerary = await client.itinerary.findUnique({ where: { id: itineraryId } });
+  if (!itinerary) {
+    return null;
+  }
+
+  const [tickets, dailyPrices] = await Promise.all([
+    client.ticket.findMany({ where: { itineraryId, ...owner }, orderBy: [{ createdAt: 'asc' }, { id: 'asc' }] }),
+    client.itineraryDailyPrice.findMany({ where: { itineraryId, ...owner } })
+  ]);
+
+  // ItineraryDailyPrice.key without the itinerary
+  const dayKey = (currency: string, userId: number | null, day: string) => `${currency}|${userId ?? ''}|${day}`;
+  const compacted = new Map(dailyPrices.map(daily => [dayKey(daily.currency, daily.userId, daily.day), daily]));
+  const keptTickets = new Map<string, Ticket>();
+
+  const points: Omit<PricePoint, 'change'>[] = [];
+  for (const ticket of tickets) {
+    const key = dayKey(ticket.currency, ticket.userId, ticket.createdAt.toISOString().substring(0, 10));
+    if (compacted.has(key)) {
+      const kept = keptTickets.get(key);
+      if (!kept || ticket.price < kept.price) keptTickets.set(key, ticket);
+      continue;
+    }
+    points.push({
+      ticketId: ticket.id,
+      price: ticket.price,
+      currency: ticket.currency,
+      ticketLink: ticket.ticketLink,
+      observedAt: ticket.createdAt
+    });
+  }
+  for (const [key, daily] of compacted) {
+    const kept = keptTickets.get(key);
+    points.push({
+      ticketId: kept?.id ?? null,
+      price: daily.minPrice,
+      currency: daily.currency,
+      ticketLink: kept?.ticketLink ?? null,
+      observedAt: new Date(`${daily.day}T00:00:00.000Z`),
+      daily: { maxPrice: daily.maxPrice, averagePrice: daily.avgPrice, observations: daily.observations }
+    });
+  }
+  points.sort((a, b) => a.observedAt.getTime() - b.observedAt.getTime());
+
+  const history: PricePoint[] = points.map((point, index) => ({
+    ...point,
+    // Only compare consecutive observations made in the same currency
+    change: index > 0 && points[index - 1].currency === point.currency
+      ? point.price - points[index - 1].price
+      : null
+  }));
+
+  const prices = history.map(point => point.price);
+  const highestPrices = history.map(point => point.daily?.maxPrice ?? point.price);
+
+  return {
+    itinerary,
+    history,
+    summary: {
+      observations: history.reduce((sum, point) => sum + (point.daily?.observations ?? 1), 0),
+      latestPrice: prices.length > 0 ? prices[prices.length - 1] : null,
+      lowestPrice: prices.length > 0 ? Math.min(...prices) : null,
+      highestPrice: highestPrices.length > 0 ? Math.max(...highestPrices) : null
+    }
+  };
+}
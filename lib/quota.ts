@@ -0,0 +1,284 @@
+import { PrismaClient } from '@prisma/client';
+
+// Outcome of one outbound API call, counted in the daily usage
+export type CallOutcome = 'ok' | 'rate_limited' | 'error';
+
+export interface DailyUsage {
+  day: string;
+  calls: number;
+  rateLimited: number;
+  errors: number;
+}
+
+// Where daily call counts are kept; the Postgres store is shared by every instance.
+// A call is counted by reserveCall() before it is made, which returns the day's count including it
+// in the same atomic step, so concurrent callers cannot all pass the daily check on a stale count.
+export interface UsageStore {
+  name: string;
+  getUsage(day: string): Promise<DailyUsage>;
+  reserveCall(day: string): Promise<number>;
+  // Take back a reservation that was refused
+  releaseCall(day: string): Promise<void>;
+  // Count a rate-limited or failed call (successful calls only need their reservation)
+  recordOutcome(day: string, outcome: CallOutcome): Promise<void>;
+  recentUsage(days: number): Promise<DailyUsage[]>;
+}
+
+export interface QuotaStatus {
+  perMinute: { limit: number | null; available: number | null };
+  perDay: { limit: number | null; used: number; remaining: number | null };
+  store: string;
+  today: DailyUsage;
+  history: DailyUsage[];
+}
+
+export class QuotaExceededError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'QuotaExceededError';
+  }
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// UTC day of a call, the period of the daily budget
+export function usageDay(date: Date = new Date()): string {
+  return date.toISOString().substring(0, 10);
+}
+
+// Token bucket holding up to `capacity` calls, refilled evenly over `intervalMs`
+export class TokenBucket {
+  readonly capacity: number;
+  private tokens: number;
+  private lastRefill: number;
+  private readonly refillPerMs: number;
+
+  constructor(capacity: number, intervalMs: number) {
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.refillPerMs = capacity / intervalMs;
+  }
+
+  private refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    this.lastRefill = now;
+  }
+
+  available(): number {
+    this.refill();
+    return Math.floor(this.tokens);
+  }
+
+  // Take a token, waiting until one is available
+  async take(): Promise<void> {
+    for (;;) {
+      this.refill();
+      if (this.tokens >= 1) {
+        this.tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil((1 - this.tokens) / this.refillPerMs));
+    }
+  }
+}
+
+export function createMemoryUsageStore(): UsageStore {
+  const usage = new Map<string, DailyUsage>();
+  const get = (day: string) => usage.get(day) || { day, calls: 0, rateLimited: 0, errors: 0 };
+
+  return {
+    name: 'memory',
+    async getUsage(day) {
+      return { ...get(day) };
+    },
+    async reserveCall(day) {
+      const current = get(day);
+      usage.set(day, { ...current, calls: current.calls + 1 });
+      return current.calls + 1;
+    },
+    async releaseCall(day) {
+      const current = get(day);
+      usage.set(day, { ...current, calls: Math.max(current.calls - 1, 0) });
+    },
+    async recordOutcome(day, outcome) {
+      const current = get(day);
+      usage.set(day, {
+        ...current,
+        rateLimited: current.rateLimited + (outcome === 'rate_limited' ? 1 : 0),
+        errors: current.errors + (outcome === 'error' ? 1 : 0)
+      });
+    },
+    async recentUsage(days) {
+      return [...usage.values()].sort((a, b) => b.day.localeCompare(a.day)).slice(0, days);
+    }
+  };
+}
+
+export function createPostgresUsageStore(getClient: () => PrismaClient): UsageStore {
+  const toUsage = (row: DailyUsage) => ({ day: row.day, calls: row.calls, rateLimited: row.rateLimited, errors: row.errors });
+
+  return {
+    name: 'postgres',
+    async getUsage(day) {
+      const row = await getClient().apiUsage.findUnique({ where: { day } });
+      return row ? toUsage(row) : { day, calls: 0, rateLimited: 0, errors: 0 };
+    },
+    // A single INSERT ... ON CONFLICT DO UPDATE, returning the incremented row
+    async reserveCall(day) {
+      const row = await getClient().apiUsage.upsert({
+        where: { day },
+        create: { day, calls: 1 },
+        update: { calls: { increment: 1 } }
+      });
+      return row.calls;
+    },
+    async releaseCall(day) {
+      await getClient().apiUsage.updateMany({
+        where: { day, calls: { gt: 0 } },
+        data: { calls: { decrement: 1 } }
+      });
+    },
+    async recordOutcome(day, outcome) {
+      if (outcome === 'ok') return;
+      const counts = {
+        rateLimited: outcome === 'rate_limited' ? 1 : 0,
+        errors: outcome === 'error' ? 1 : 0
+      };
+      await getClient().apiUsage.upsert({
+        where: { day },
+        create: { day, ...counts },
+        update: {
+          rateLimited: { increment: counts.rateLimited },
+          errors: { increment: counts.errors }
+        }
+      });
+    },
+    async recentUsage(days) {
+      const rows = await getClient().apiUsage.findMany({ orderBy: { day: 'desc' }, take: days });
+      return rows.map(toUsage);
+    }
+  };
+}
+
+export interface QuotaTracker {
+  // Count the call against the daily budget, then wait for the per-minute limiter;
+  // throws QuotaExceededError once the daily budget is spent
+  acquire(): Promise<void>;
+  record(outcome: CallOutcome): Promise<void>;
+  status(): Promise<QuotaStatus>;
+}
+
+// Per-minute and per-day budgets of outbound calls (null for no limit). The per-minute
+// bucket is kept per process; the daily count is reserved in the usage store before each call.
+export function createQuotaTracker(options: {
+  perMinute: number | null;
+  perDay: number | null;
+  store: UsageStore;
+}): QuotaTracker {
+  const bucket = options.perMinute ? new TokenBucket(options.perMinute, 60000) : null;
+
+  return {
+    async acquire() {
+      const day = usageDay();
+      let calls = 0;
+      try {
+        calls = await options.store.reserveCall(day);
+      } catch (error) {
+        // Without the usage count the call is allowed rather than failing every search
+        console.error('Error recording Travelpayouts API usage:', error);
+      }
+      if (options.perDay && calls > options.perDay) {
+        try {
+          await options.store.releaseCall(day);
+        } catch (error) {
+          console.error('Error recording Travelpayouts API usage:', error);
+        }
+        throw new QuotaExceededError(`Daily quota of ${options.perDay} Travelpayouts API calls used up; it resets at 00:00 UTC`);
+      }
+      await bucket?.take();
+    },
+
+    async record(outcome) {
+      try {
+        await options.store.recordOutcome(usageDay(), outcome);
+      } catch (error) {
+        // Losing a count must not fail the search that was already made
+        console.error('Error recording Travelpayouts API usage:', error);
+      }
+    },
+
+    async status() {
+      const today = await options.store.getUsage(usageDay());
+      return {
+        perMinute: {
+          limit: options.perMinute,
+          available: bucket ? bucket.available() : null
+        },
+        perDay: {
+          limit: options.perDay,
+          used: today.calls,
+          remaining: options.perDay ? Math.max(options.perDay - today.calls, 0) : null
+        },
+        store: options.store.name,
+        today,
+        history: await options.store.recentUsage(7)
+      };
+    }
+  };
+}
+
+// A limit of calls, 0 for no limit. A malformed value keeps the default rather than lifting the limit.
+function parseLimit(name: string, value: string | undefined, fallback: number | null): number | null {
+  if (value === undefined || value.trim() === '') return fallback;
+  if (!/^\d+$/.test(value.trim())) {
+    console.warn(`Invalid ${name} "${value}", using ${fallback ?? 'no limit'}`);
+    return fallback;
+  }
+  const limit = parseInt(value);
+  return limit > 0 ? limit : null;
+}
+
+export interface QuotaConfig {
+  // Call budgets (null for no limit)
+  perMinute: number | null;
+  perDay: number | null;
+  // Where usage is counted
+  store: 'postgres' | 'memory';
+}
+
+// Budgets from TRAVELPAYOUTS_CALLS_PER_MINUTE (60 by default) and TRAVELPAYOUTS_CALLS_PER_DAY
+// (no limit by default); 0 turns a limit off. Usage is kept in Postgres unless
+// TRAVELPAYOUTS_USAGE_STORE=memory.
+export function getQuotaConfigFromEnv(env: NodeJS.ProcessEnv = process.env): QuotaConfig {
+  return {
+    perMinute: parseLimit('TRAVELPAYOUTS_CALLS_PER_MINUTE', env.TRAVELPAYOUTS_CALLS_PER_MINUTE, 60),
+    perDay: parseLimit('TRAVELPAYOUTS_CALLS_PER_DAY', env.TRAVELPAYOUTS_CALLS_PER_DAY, null),
+    store: env.TRAVELPAYOUTS_USAGE_STORE === 'memory' ? 'memory' : 'postgres'
+  };
+}
+
+export function createQuotaTrackerFromConfig(getClient: () => PrismaClient, config: QuotaConfig): QuotaTracker {
+  return createQuotaTracker({
+    perMinute: config.perMinute,
+    perDay: config.perDay,
+    store: config.store === 'memory' ? createMemoryUsageStore() : createPostgresUsageStore(getClient)
+  });
+}
+
+// Usage is recorded with its own client so it outlives the per-run clients of price checks
+let usageClient: PrismaClient | undefined;
+let defaultTracker: QuotaTracker | undefined;
+
+export function getQuotaTracker(): QuotaTracker {
+  if (!defaultTracker) {
+    defaultTracker = createQuotaTrackerFromConfig(() => {
+      if (!usageClient) {
+        usageClient = new PrismaClient();
+      }
+      return usageClient;
+    }, getQuotaConfigFromEnv());
+  }
+  return defaultTracker;
+}
@@ -0,0 +1,217 @@
+import { TRIP_TYPES, TripType } from './types.js';
+import { ALERT_TYPES } from './alerts.js';
+import { MAX_MULTI_CITY_LEGS } from './multiCity.js';
+import { DEFAULT_ANALYTICS_DAYS, MAX_ANALYTICS_DAYS } from './analytics.js';
+import { parseStayRange, daysBetween, MAX_STAY_DAYS, MAX_STAY_RANGE } from './priceCalendar.js';
+import { PLACE_DATASETS, DEFAULT_PLACE_RESULTS, MAX_PLACE_RESULTS } from './places.js';
+import {
+  FieldError,
+  object,
+  array,
+  field,
+  text,
+  iataCode,
+  currencyCode,
+  isoDate,
+  month,
+  integer,
+  numberBetween,
+  boolean,
+  flag,
+  oneOf,
+  fieldError
+} from './validation.js';
+
+// Currencies the Travelpayouts API returns prices in, accepted for searches, tracked routes and
+// alert rules. Display currencies only need a 3-letter code; they are converted with stored rates.
+export const SEARCH_CURRENCIES = [
+  'aed', 'aud', 'brl', 'cad', 'chf', 'cny', 'czk', 'dkk', 'eur', 'gbp', 'hkd', 'huf', 'idr', 'ils',
+  'inr', 'jpy', 'krw', 'kzt', 'mxn', 'nok', 'nzd', 'php', 'pln', 'rub', 'sek', 'sgd', 'thb', 'try',
+  'uah', 'usd', 'zar'
+] as const;
+
+// Longest departure or return window of a search, in days from the first to the last date
+export const MAX_DATE_WINDOW_DAYS = 31;
+// Most results a search returns
+export const MAX_SEARCH_LIMIT = 30;
+const MAX_LIMIT_PER_LEG = 10;
+const MAX_MULTI_CITY_RESULTS = 20;
+
+export interface TripDates {
+  tripType?: TripType | string | null;
+  departDateMin: string;
+  departDateMax: string;
+  returnDateMin?: string | null;
+  returnDateMax?: string | null;
+}
+
+function checkWindow(min: string, max: string, minField: string, maxField: string): FieldError[] {
+  if (min > max) {
+    return [fieldError(minField, `${minField} must not be after ${maxField}`)];
+  }
+  if (daysBetween(min, max) > MAX_DATE_WINDOW_DAYS) {
+    return [fieldError(maxField, `${maxField} must be at most ${MAX_DATE_WINDOW_DAYS} days after ${minField}`)];
+  }
+  return [];
+}
+
+// Date windows of a trip: each in order and at most MAX_DATE_WINDOW_DAYS long, and for round trips
+// both return dates, with the return window starting on or after the departure window
+export function checkTripDates(trip: TripDates, prefix = ''): FieldError[] {
+  const path = (name: string) => prefix ? `${prefix}.${name}` : name;
+  const errors = checkWindow(trip.departDateMin, trip.departDateMax, path('departDateMin'), path('departDateMax'));
+  if ((trip.tripType || 'round_trip') === 'one_way') {
+    return errors;
+  }
+
+  const missing = (['returnDateMin', 'returnDateMax'] as const).filter(name => !trip[name]);
+  if (missing.length > 0) {
+    return [...errors, ...missing.map(name => fieldError(path(name), `${path(name)} is required for round trips`))];
+  }
+  errors.push(...checkWindow(trip.returnDateMin!, trip.returnDateMax!, path('returnDateMin'), path('returnDateMax')));
+  if (trip.returnDateMin! < trip.departDateMin) {
+    errors.push(fieldError(path('returnDateMin'), `${path('returnDateMin')} must not be before ${path('departDateMin')}`));
+  }
+  return errors;
+}
+
+// Destination different from the origin
+export function checkDistinctAirports(data: { origin?: string; destination?: string }, prefix = ''): FieldError[] {
+  if (data.origin && data.origin === data.destination) {
+    const name = prefix ? `${prefix}.destination` : 'destination';
+    return [fieldError(name, `${name} must differ from origin`)];
+  }
+  return [];
+}
+
+// POST /api/search-flights and `flight-tracker search`; the result filters are validated by parseTicketFilters
+export const flightSearchSchema = object({
+  tripType: oneOf(TRIP_TYPES).default('round_trip'),
+  origin: iataCode(),
+  destination: iataCode(),
+  departDateMin: isoDate(),
+  departDateMax: isoDate(),
+  returnDateMin: isoDate().optional(),
+  returnDateMax: isoDate().optional(),
+  currency: currencyCode(SEARCH_CURRENCIES).default('cad'),
+  limit: integer({ min: 1, max: MAX_SEARCH_LIMIT }).default(5),
+  noLowcost: boolean().default(true),
+  displayCurrency: currencyCode().optional()
+})
+  .refine(search => checkDistinctAirports(search))
+  .refine(search => checkTripDates(search));
+
+// Tracked routes; the unset fields take the database defaults. Updates use trackedRouteSchema.partial()
+// and check the dates of the updated route with checkTripDates.
+export const trackedRouteSchema = object({
+  tripType: oneOf(TRIP_TYPES).optional(),
+  origin: iataCode(),
+  destination: iataCode(),
+  departDateMin: isoDate(),
+  departDateMax: isoDate(),
+  returnDateMin: isoDate().optional(),
+  returnDateMax: isoDate().optional(),
+  currency: currencyCode(SEARCH_CURRENCIES).optional(),
+  limit: integer({ min: 1, max: MAX_SEARCH_LIMIT }).optional(),
+  noLowcost: boolean().optional(),
+  active: boolean().optional()
+})
+  .refine(route => checkDistinctAirports(route))
+  .refine(route => checkTripDates(route));
+
+// Alert rules; origin, destination, tripType and routeId narrow the tickets a rule applies to
+export const alertRuleSchema = object({
+  name: text({ maxLength: 100 }),
+  type: oneOf(ALERT_TYPES),
+  origin: iataCode().optional(),
+  destination: iataCode().optional(),
+  tripType: oneOf(TRIP_TYPES).optional(),
+  routeId: integer({ min: 1 }).optional(),
+  currency: currencyCode(SEARCH_CURRENCIES).optional(),
+  threshold: integer({ min: 1 }).optional(),
+  dropPercent: numberBetween(0, 100).optional()
+}).refine(rule => {
+  if (rule.type === 'price_below' && rule.threshold === undefined) {
+    return [fieldError('threshold', 'threshold is required for price_below alerts')];
+  }
+  if (rule.type === 'price_drop' && rule.dropPercent === undefined) {
+    return [fieldError('dropPercent', 'dropPercent is required for price_drop alerts')];
+  }
+  return [];
+});
+
+const multiCityLegSchema = object({
+  origin: iataCode(),
+  destination: iataCode(),
+  departDateMin: isoDate(),
+  departDateMax: isoDate()
+})
+  .refine((leg, path) => checkDistinctAirports(leg, path))
+  .refine((leg, path) => checkTripDates({ ...leg, tripType: 'one_way' }, path));
+
+export const multiCitySearchSchema = object({
+  legs: array(multiCityLegSchema, { min: 2, max: MAX_MULTI_CITY_LEGS, noun: 'legs' }),
+  currency: currencyCode(SEARCH_CURRENCIES).default('cad'),
+  noLowcost: boolean().default(true),
+  limitPerLeg: integer({ min: 1, max: MAX_LIMIT_PER_LEG }).default(5),
+  maxResults: integer({ min: 1, max: MAX_MULTI_CITY_RESULTS }).default(5),
+  sortBy: oneOf(['price', 'duration'] as const).default('price'),
+  save: boolean().default(false)
+});
+
+// GET /api/price-calendar; stay is a number of days ("7") or a range ("5-9")
+export const priceCalendarQuerySchema = object({
+  origin: iataCode(),
+  destination: iataCode(),
+  month: month(),
+  currency: currencyCode(SEARCH_CURRENCIES).default('cad'),
+  stay: field<{ minStay: number; maxStay: number }>(value => {
+    const range = parseStayRange(String(value));
+    return range ? { value: range } : {
+      error: `must be a number of days (e.g. 7) or a range (e.g. 5-9) of at most ${MAX_STAY_RANGE} days, up to ${MAX_STAY_DAYS}`
+    };
+  }).default({ minStay: 7, maxStay: 7 }),
+  refresh: flag().default(false)
+}).refine(query => checkDistinctAirports(query));
+
+// Route analytics and history: the route comes from the path, the rest from the query string
+export const analyticsQuerySchema = object({
+  origin: iataCode(),
+  destination: iataCode(),
+  currency: currencyCode(SEARCH_CURRENCIES).default('cad'),
+  tripType: oneOf(TRIP_TYPES).optional(),
+  days: integer({ min: 1, max: MAX_ANALYTICS_DAYS }).default(DEFAULT_ANALYTICS_DAYS),
+  displayCurrency: currencyCode().optional()
+});
+
+// POST /api/auth/register and /api/auth/login; the password is checked as given
+export const credentialsSchema = object({
+  email: text({ maxLength: 254 }),
+  password: text({ maxLength: 200, trim: false })
+});
+
+// GET /api/routes
+export const trackedRouteListQuerySchema = object({
+  active: flag().optional()
+});
+
+// GET /api/run-price-check
+export const priceCheckQuerySchema = object({
+  routeId: integer({ min: 1 }).optional()
+});
+
+// GET /api/run-maintenance
+export const maintenanceQuerySchema = object({
+  dryRun: flag().default(false)
+});
+
+// GET /api/places: q is matched against codes, names and cities
+export const placeQuerySchema = object({
+  q: text({ maxLength: 100 }),
+  limit: integer({ min: 1, max: MAX_PLACE_RESULTS }).default(DEFAULT_PLACE_RESULTS)
+});
+
+// POST /api/places/import
+export const placeImportQuerySchema = object({
+  dataset: oneOf(PLACE_DATASETS)
+});
@@ -0,0 +1,204 @@
+import crypto from 'crypto';
+import { PrismaClient, Prisma } from '@prisma/client';
+import { TicketData } from './types.js';
+import { FlightSearch } from './travelpayouts.js';
+
+const DEFAULT_TTL_SECONDS = 600;
+
+export interface CachedTickets {
+  tickets: TicketData[];
+  storedAt: Date;
+}
+
+// Where cached search results live: process memory, or a table shared by every instance
+export interface SearchCacheStore {
+  name: string;
+  get(key: string): Promise<CachedTickets | null>;
+  set(key: string, tickets: TicketData[], ttlSeconds: number): Promise<void>;
+}
+
+export interface SearchCacheResult {
+  tickets: TicketData[];
+  cached: boolean;
+  // Age of the cached results (0 for fresh results)
+  ageSeconds: number;
+}
+
+export interface SearchCache {
+  ttlSeconds: number;
+  store: SearchCacheStore | null;
+  fetch(search: FlightSearch, load: () => Promise<TicketData[]>): Promise<SearchCacheResult>;
+}
+
+// Hash of the search parameters after normalizing codes to a single case, so that
+// "yul" and "YUL" or a missing and an explicit null return date share an entry
+export function searchCacheKey(search: FlightSearch): string {
+  const isRoundTrip = search.tripType !== 'one_way';
+  const normalized = {
+    tripType: isRoundTrip ? 'round_trip' : 'one_way',
+    origin: search.origin.trim().toUpperCase(),
+    destination: search.destination.trim().toUpperCase(),
+    departDateMin: search.departDateMin,
+    departDateMax: search.departDateMax,
+    returnDateMin: isRoundTrip ? search.returnDateMin ?? null : null,
+    returnDateMax: isRoundTrip ? search.returnDateMax ?? null : null,
+    currency: search.currency.trim().toLowerCase(),
+    noLowcost: search.noLowcost,
+    limit: search.limit
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+export function createMemoryStore(): SearchCacheStore {
+  const entries = new Map<string, CachedTickets & { expiresAt: number }>();
+
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return { tickets: entry.tickets, storedAt: entry.storedAt };
+    },
+    async set(key, tickets, ttlSeconds) {
+      // Drop expired entries so a long-running server does not keep every search
+      const now = Date.now();
+      for (const [entryKey, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(entryKey);
+      }
+      entries.set(key, { tickets, storedAt: new Date(now), expiresAt: now + ttlSeconds * 1000 });
+    }
+  };
+}
+
+export function createPostgresStore(getClient: () => PrismaClient): SearchCacheStore {
+  return {
+    name: 'postgres',
+    async get(key) {
+      const entry = await getClient().searchCacheEntry.findUnique({ where: { key } });
+      if (!entry || entry.expiresAt <= new Date()) return null;
+      return { tickets: entry.tickets as unknown as TicketData[], storedAt: entry.storedAt };
+    },
+    async set(key, tickets, ttlSeconds) {
+      const client = getClient();
+      const storedAt = new Date();
+      const expiresAt = new Date(storedAt.getTime() + ttlSeconds * 1000);
+      const data = { tickets: tickets as unknown as Prisma.InputJsonValue, storedAt, expiresAt };
+
+      await client.searchCacheEntry.deleteMany({ where: { expiresAt: { lte: storedAt } } });
+      await client.searchCacheEntry.upsert({
+        where: { key },
+        create: { key, ...data },
+        update: data
+      });
+    }
+  };
+}
+
+// Cache with a TTL in front of a search loader. Concurrent identical searches share one
+// in-flight request. Store failures are logged and the search goes to the API instead.
+// Without a store only the coalescing applies.
+export function createSearchCache(options: { store: SearchCacheStore | null; ttlSeconds?: number }): SearchCache {
+  const ttlSeconds = options.ttlSeconds ?? DEFAULT_TTL_SECONDS;
+  const store = ttlSeconds > 0 ? options.store : null;
+  const inFlight = new Map<string, Promise<TicketData[]>>();
+
+  const readStore = async (key: string): Promise<CachedTickets | null> => {
+    if (!store) return null;
+    try {
+      return await store.get(key);
+    } catch (error) {
+      console.error(`Error reading ${store.name} search cache:`, error);
+      return null;
+    }
+  };
+
+  const writeStore = async (key: string, tickets: TicketData[]) => {
+    if (!store) return;
+    try {
+      await store.set(key, tickets, ttlSeconds);
+    } catch (error) {
+      console.error(`Error writing ${store.name} search cache:`, error);
+    }
+  };
+
+  return {
+    ttlSeconds,
+    store,
+    async fetch(search, load) {
+      const key = searchCacheKey(search);
+
+      const hit = await readStore(key);
+      if (hit) {
+        return {
+          // Copies, so callers can modify the tickets without changing the cached entry
+          tickets: structuredClone(hit.tickets),
+          cached: true,
+          ageSeconds: Math.max(Math.floor((Date.now() - hit.storedAt.getTime()) / 1000), 0)
+        };
+      }
+
+      let request = inFlight.get(key);
+      const coalesced = request !== undefined;
+      if (!request) {
+        request = (async () => {
+          try {
+            const tickets = await load();
+            await writeStore(key, tickets);
+            return tickets;
+          } finally {
+            inFlight.delete(key);
+          }
+        })();
+        inFlight.set(key, request);
+      } else {
+        console.log('Joining an identical search already in progress');
+      }
+
+      // A request that joined another one did not call the API itself, so it counts as cached
+      const tickets = await request;
+      return { tickets: structuredClone(tickets), cached: coalesced, ageSeconds: 0 };
+    }
+  };
+}
+
+export interface SearchCacheConfig {
+  // memory (per process), postgres (shared by every instance) or off
+  store: 'memory' | 'postgres' | 'off';
+  ttlSeconds: number;
+}
+
+// SEARCH_CACHE (memory, postgres or off; memory by default) and SEARCH_CACHE_TTL_SECONDS
+// (600 by default, 0 turns caching off)
+export function getSearchCacheConfigFromEnv(env: NodeJS.ProcessEnv = process.env): SearchCacheConfig {
+  let store = (env.SEARCH_CACHE || 'memory').toLowerCase();
+  if (store !== 'memory' && store !== 'postgres' && store !== 'off') {
+    console.warn(`Unknown SEARCH_CACHE "${store}", using the in-memory cache`);
+    store = 'memory';
+  }
+  const ttlSeconds = env.SEARCH_CACHE_TTL_SECONDS !== undefined && env.SEARCH_CACHE_TTL_SECONDS !== ''
+    ? parseInt(env.SEARCH_CACHE_TTL_SECONDS)
+    : DEFAULT_TTL_SECONDS;
+
+  return {
+    store: store as SearchCacheConfig['store'],
+    ttlSeconds: Number.isNaN(ttlSeconds) ? DEFAULT_TTL_SECONDS : ttlSeconds
+  };
+}
+
+export function createSearchCacheFromConfig(getClient: () => PrismaClient, config: SearchCacheConfig): SearchCache {
+  let store: SearchCacheStore | null = null;
+  if (config.store === 'postgres') {
+    store = createPostgresStore(getClient);
+  } else if (config.store === 'memory') {
+    store = createMemoryStore();
+  }
+  return createSearchCache({ store, ttlSeconds: config.ttlSeconds });
+}
+
+export function createSearchCacheFromEnv(getClient: () => PrismaClient, env: NodeJS.ProcessEnv = process.env): SearchCache {
+  return createSearchCacheFromConfig(getClient, getSearchCacheConfigFromEnv(env));
+}
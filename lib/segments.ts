@@ -0,0 +1,83 @@
+import { TicketData, Segment } from './types.js';
+
+export interface ParsedFlightLeg {
+  position: number;
+  origin: string;
+  destination: string;
+  departureAt: string;
+  arrivalAt: string;
+  flightNumber: string;
+  carrier: string;
+  aircraftCode: string | null;
+  // Connection time at the airport before this leg (null for the first leg of a segment)
+  layoverMinutes: number | null;
+}
+
+export interface ParsedSegment {
+  position: number;
+  origin: string;
+  destination: string;
+  departureAt: string;
+  arrivalAt: string;
+  stops: number;
+  durationMinutes: number | null;
+  layoverMinutes: number;
+  legs: ParsedFlightLeg[];
+}
+
+// IATA airline designator at the start of a flight number ("AC301" -> "AC", "3K 512" -> "3K")
+export function parseCarrier(flightNumber: string): string {
+  const match = /^([A-Z0-9]{2})\s*\d/i.exec(flightNumber || '');
+  return match ? match[1].toUpperCase() : (flightNumber || 'Unknown').substring(0, 2);
+}
+
+// Minutes between two ISO timestamps, or null when either is missing or invalid
+export function minutesBetween(from: string | null | undefined, to: string | null | undefined): number | null {
+  if (!from || !to) return null;
+  const diff = new Date(to).getTime() - new Date(from).getTime();
+  return Number.isNaN(diff) ? null : Math.round(diff / 60000);
+}
+
+// Parse one segment (outbound or return) with all its flight legs
+export function parseSegment(segment: Segment, position: number): ParsedSegment {
+  const flightLegs = segment.flight_legs || [];
+
+  const legs: ParsedFlightLeg[] = flightLegs.map((leg, index) => ({
+    position: index,
+    origin: leg.origin || "Unknown",
+    destination: leg.destination || "Unknown",
+    departureAt: leg.departure_at,
+    arrivalAt: leg.arrival_at,
+    flightNumber: leg.flight_number || "Unknown",
+    carrier: parseCarrier(leg.flight_number),
+    aircraftCode: leg.aircraft_code || null,
+    layoverMinutes: index > 0 ? minutesBetween(flightLegs[index - 1].arrival_at, leg.departure_at) : null
+  }));
+
+  const first = legs[0];
+  const last = legs[legs.length - 1];
+
+  return {
+    position,
+    origin: first?.origin || "Unknown",
+    destination: last?.destination || "Unknown",
+    departureAt: first?.departureAt || '',
+    arrivalAt: last?.arrivalAt || '',
+    stops: Math.max(legs.length - 1, 0),
+    durationMinutes: minutesBetween(first?.departureAt, last?.arrivalAt),
+    layoverMinutes: legs.reduce((sum, leg) => sum + (leg.layoverMinutes || 0), 0),
+    legs
+  };
+}
+
+// Parse every segment of a ticket (segment 0 is outbound, segment 1 the return of a round trip)
+export function parseSegments(ticket: TicketData): ParsedSegment[] {
+  return (ticket.segments || []).map((segment, index) => parseSegment(segment, index));
+}
+
+// Flight numbers of a segment joined with "+" ("AC301+AC113" for a connection)
+export function flightChain(segment: ParsedSegment | undefined): string {
+  return segment && segment.legs.length > 0
+    ? segment.legs.map(leg => leg.flightNumber).join('+')
+    : "Unknown";
+}
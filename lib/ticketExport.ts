@@ -0,0 +1,158 @@
+import { PrismaClient, Ticket, Segment } from '@prisma/client';
+import { TicketQuery, queryTickets, MAX_TICKET_PAGE_SIZE } from './ticketQuery.js';
+
+export const EXPORT_FORMATS = ['csv', 'jsonl', 'ics'] as const;
+export type ExportFormat = typeof EXPORT_FORMATS[number];
+
+export const EXPORT_CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8'
+};
+
+// Tickets as returned by queryTickets, with displayPrice when a display currency was requested
+type ExportedTicket = Ticket & {
+  outboundAirlineName: string | null;
+  returnAirlineName: string | null;
+  displayPrice?: number | null;
+  displayCurrency?: string;
+};
+
+const CSV_COLUMNS: (keyof ExportedTicket)[] = [
+  'id', 'tripType', 'origin', 'destination', 'departureAt', 'returnAt', 'price', 'currency',
+  'outboundAirline', 'outboundAirlineName', 'outboundFlight', 'outboundStops',
+  'returnAirline', 'returnAirlineName', 'returnFlight', 'returnStops',
+  'tripDuration', 'ticketLink', 'routeId', 'itineraryId', 'createdAt'
+];
+
+function csvCell(value: unknown): string {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values: unknown[]): string {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+// "2025-07-25T08:40:00-04:00" -> "20250725T124000Z"
+function icsTimestamp(value: string | Date): string | null {
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(value: string): string {
+  return value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets, continuation lines start with a space (RFC 5545 3.1)
+function icsLine(line: string): string {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return `${line}\r\n`;
+
+  const parts: string[] = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return `${parts.join('\r\n ')}\r\n`;
+}
+
+// One VEVENT per direction: the outbound flight, and the return flight of round trips
+function icsEvents(ticket: ExportedTicket, segments: Segment[]): string {
+  const directions = [
+    {
+      name: 'outbound', departureAt: ticket.departureAt, flight: ticket.outboundFlight, airline: ticket.outboundAirlineName,
+      from: ticket.origin, to: ticket.destination
+    },
+    {
+      name: 'return', departureAt: ticket.returnAt, flight: ticket.returnFlight, airline: ticket.returnAirlineName,
+      from: ticket.destination, to: ticket.origin
+    }
+  ];
+
+  return directions.map((direction, position) => {
+    if (!direction.departureAt) return '';
+    const start = icsTimestamp(direction.departureAt);
+    if (!start) return '';
+
+    const segment = segments.find(candidate => candidate.position === position);
+    const end = segment ? icsTimestamp(segment.arrivalAt) : null;
+    const from = segment?.origin || direction.from;
+    const to = segment?.destination || direction.to;
+    const price = `${ticket.price} ${ticket.currency.toUpperCase()}`;
+    const description = [
+      `Flights: ${direction.flight || 'Unknown'}${direction.airline ? ` (${direction.airline})` : ''}`,
+      `Price: ${price} (${ticket.tripType === 'one_way' ? 'one way' : 'round trip'})`,
+      `Book: ${ticket.ticketLink}`
+    ].join('\n');
+
+    return [
+      'BEGIN:VEVENT',
+      `UID:ticket-${ticket.id}-${direction.name}@flight-tracker`,
+      `DTSTAMP:${icsTimestamp(ticket.createdAt)}`,
+      `DTSTART:${start}`,
+      ...(end ? [`DTEND:${end}`] : []),
+      `SUMMARY:${icsText(`${from} → ${to} ${direction.flight || ''}`.trim())}`,
+      `LOCATION:${icsText(from)}`,
+      `DESCRIPTION:${icsText(description)}`,
+      `URL:${ticket.ticketLink}`,
+      'END:VEVENT'
+    ].map(icsLine).join('');
+  }).join('');
+}
+
+// Stored tickets matching the query in the given format, produced page by page so that
+// large exports are streamed instead of held in memory. query.limit and query.cursor are ignored.
+// The first chunk is only produced once the first page is read, so query errors surface before any output.
+export async function* exportTickets(client: PrismaClient, query: TicketQuery, format: ExportFormat): AsyncGenerator<string> {
+  const includeDisplayPrice = query.displayCurrency !== undefined;
+  const pageQuery: TicketQuery = { ...query, limit: MAX_TICKET_PAGE_SIZE, cursor: undefined };
+
+  let header = '';
+  if (format === 'csv') {
+    header = csvRow(includeDisplayPrice ? [...CSV_COLUMNS, 'displayPrice', 'displayCurrency'] : CSV_COLUMNS);
+  } else if (format === 'ics') {
+    header = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Flight Ticket Tracker//Tickets//EN', 'CALSCALE:GREGORIAN'].map(icsLine).join('');
+  }
+
+  do {
+    const page = await queryTickets(client, pageQuery);
+    const tickets = page.tickets as ExportedTicket[];
+    let body: string;
+
+    if (format === 'csv') {
+      body = tickets.map(ticket => csvRow([
+        ...CSV_COLUMNS.map(column => ticket[column]),
+        ...(includeDisplayPrice ? [ticket.displayPrice, ticket.displayCurrency] : [])
+      ])).join('');
+    } else if (format === 'jsonl') {
+      body = tickets.map(ticket => `${JSON.stringify(ticket)}\n`).join('');
+    } else {
+      // Arrival times come from the stored segments
+      const segments = await client.segment.findMany({
+        where: { ticketId: { in: tickets.map(ticket => ticket.id) } }
+      });
+      body = tickets.map(ticket => icsEvents(ticket, segments.filter(segment => segment.ticketId === ticket.id))).join('');
+    }
+
+    yield header + body;
+    header = '';
+    pageQuery.cursor = page.nextCursor ?? undefined;
+  } while (pageQuery.cursor);
+
+  if (format === 'ics') {
+    yield icsLine('END:VCALENDAR');
+  }
+}
@@ -0,0 +1,199 @@
+import { PrismaClient, Prisma } from '@prisma/client';
+import { TRIP_TYPES, TripType } from './types.js';
+import { addDays } from './priceCalendar.js';
+import { loadConverterFor } from './currency.js';
+import { MetroAreas, createMetroAreas, loadMetroAreas, loadAirlineNames } from './places.js';
+import {
+  FieldError,
+  object,
+  iataCode,
+  airlineCode,
+  currencyCode,
+  isoDate,
+  timestamp,
+  integer,
+  oneOf,
+  fieldError,
+  validate
+} from './validation.js';
+
+export const TICKET_SORT_KEYS = ['price', 'departure', 'duration', 'newest'] as const;
+export type TicketSortKey = typeof TICKET_SORT_KEYS[number];
+
+export const DEFAULT_TICKET_PAGE_SIZE = 20;
+export const MAX_TICKET_PAGE_SIZE = 100;
+
+// Filters over stored tickets. Date ranges are YYYY-MM-DD in local time at the airport
+// and both ends are inclusive; the createdAt window takes ISO timestamps.
+export interface TicketQuery {
+  origin?: string;
+  destination?: string;
+  tripType?: TripType;
+  currency?: string;
+  departFrom?: string;
+  departTo?: string;
+  returnFrom?: string;
+  returnTo?: string;
+  minPrice?: number;
+  maxPrice?: number;
+  // Matches tickets with any flight leg flown by this carrier
+  airline?: string;
+  routeId?: number;
+  itineraryId?: number;
+  createdAfter?: Date;
+  createdBefore?: Date;
+  // Owner of the tickets; set by the caller, not parsed from the request
+  userId?: number;
+  // Adds each ticket's price converted to this currency as displayPrice
+  displayCurrency?: string;
+  sort: TicketSortKey;
+  limit: number;
+  // Id of the last ticket of the previous page
+  cursor?: number;
+}
+
+const SORT_ORDER: Record<TicketSortKey, Prisma.TicketOrderByWithRelationInput> = {
+  price: { price: 'asc' },
+  departure: { departureAt: 'asc' },
+  duration: { tripDuration: 'asc' },
+  newest: { createdAt: 'desc' }
+};
+
+export const ticketQuerySchema = object({
+  origin: iataCode().optional(),
+  destination: iataCode().optional(),
+  tripType: oneOf(TRIP_TYPES).optional(),
+  // Currencies are stored in lower case
+  currency: currencyCode().optional(),
+  departFrom: isoDate().optional(),
+  departTo: isoDate().optional(),
+  returnFrom: isoDate().optional(),
+  returnTo: isoDate().optional(),
+  minPrice: integer({ min: 1 }).optional(),
+  maxPrice: integer({ min: 1 }).optional(),
+  airline: airlineCode().optional(),
+  routeId: integer({ min: 1 }).optional(),
+  itineraryId: integer({ min: 1 }).optional(),
+  createdAfter: timestamp().optional(),
+  createdBefore: timestamp().optional(),
+  displayCurrency: currencyCode().optional(),
+  sort: oneOf(TICKET_SORT_KEYS).default('newest'),
+  limit: integer({ min: 1, max: MAX_TICKET_PAGE_SIZE }).default(DEFAULT_TICKET_PAGE_SIZE),
+  cursor: integer({ min: 1 }).optional()
+}).refine(query => {
+  const errors: FieldError[] = [];
+  if (query.minPrice !== undefined && query.maxPrice !== undefined && query.minPrice > query.maxPrice) {
+    errors.push(fieldError('minPrice', 'minPrice must not be greater than maxPrice'));
+  }
+  for (const [from, to] of [['departFrom', 'departTo'], ['returnFrom', 'returnTo']] as const) {
+    if (query[from] && query[to] && query[from]! > query[to]!) {
+      errors.push(fieldError(from, `${from} must not be after ${to}`));
+    }
+  }
+  return errors;
+});
+
+// Validate query string parameters of the ticket listing
+export function parseTicketQuery(input: Record<string, unknown>): { query: TicketQuery; errors: FieldError[] } {
+  const { data, errors } = validate(ticketQuerySchema, input);
+  return { query: data, errors };
+}
+
+// Inclusive range of local dates over an ISO timestamp column ("2025-07-25T08:40:00-04:00")
+function dateRange(from: string | undefined, to: string | undefined): Prisma.StringFilter | undefined {
+  if (!from && !to) return undefined;
+  return {
+    ...(from ? { gte: from } : {}),
+    ...(to ? { lt: addDays(to, 1) } : {})
+  };
+}
+
+// A city or metro-area code matches the tickets of its airports (YMQ: YUL and YHU)
+function placeFilter(code: string | undefined, metroAreas: MetroAreas): string | Prisma.StringFilter | undefined {
+  if (!code) return undefined;
+  const codes = metroAreas.expand(code);
+  return codes.length > 1 ? { in: codes } : code;
+}
+
+export function buildTicketWhere(query: TicketQuery, metroAreas: MetroAreas = createMetroAreas([])): Prisma.TicketWhereInput {
+  const where: Prisma.TicketWhereInput = {
+    origin: placeFilter(query.origin, metroAreas),
+    destination: placeFilter(query.destination, metroAreas),
+    tripType: query.tripType,
+    currency: query.currency,
+    routeId: query.routeId,
+    itineraryId: query.itineraryId,
+    userId: query.userId,
+    departureAt: dateRange(query.departFrom, query.departTo),
+    returnAt: dateRange(query.returnFrom, query.returnTo)
+  };
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    where.price = { gte: query.minPrice, lte: query.maxPrice };
+  }
+
+  if (query.createdAfter || query.createdBefore) {
+    where.createdAt = { gte: query.createdAfter, lte: query.createdBefore };
+  }
+
+  if (query.airline) {
+    where.segments = { some: { legs: { some: { carrier: query.airline } } } };
+  }
+
+  return where;
+}
+
+// One page of stored tickets with the names of their airlines. The id breaks ties between
+// equal sort values so the cursor stays stable; nextCursor is null on the last page.
+export async function queryTickets(client: PrismaClient, query: TicketQuery) {
+  const metroAreas = await loadMetroAreas(client, [query.origin, query.destination]);
+  const tickets = await client.ticket.findMany({
+    where: buildTicketWhere(query, metroAreas),
+    orderBy: [SORT_ORDER[query.sort], { id: query.sort === 'newest' ? 'desc' : 'asc' }],
+    take: query.limit + 1,
+    ...(query.cursor ? { cursor: { id: query.cursor }, skip: 1 } : {})
+  });
+
+  const hasMore = tickets.length > query.limit;
+  const page = hasMore ? tickets.slice(0, query.limit) : tickets;
+  const nextCursor = hasMore ? page[page.length - 1].id : null;
+
+  // Airline names are null for codes missing from the Airline table
+  const airlineNames = await loadAirlineNames(client, page.flatMap(ticket => [ticket.outboundAirline, ticket.returnAirline]));
+  const named = page.map(ticket => ({
+    ...ticket,
+    outboundAirlineName: airlineNames.get(ticket.outboundAirline) ?? null,
+    returnAirlineName: ticket.returnAirline ? airlineNames.get(ticket.returnAirline) ?? null : null
+  }));
+
+  if (!query.displayCurrency) {
+    return { tickets: named, nextCursor };
+  }
+
+  // displayPrice is null for tickets in a currency without a stored rate
+  const converter = await loadConverterFor(client, query.displayCurrency);
+  return {
+    tickets: named.map(ticket => ({
+      ...ticket,
+      displayPrice: converter.convert(ticket.price, ticket.currency, query.displayCurrency!),
+      displayCurrency: query.displayCurrency
+    })),
+    nextCursor,
+    ratesAsOf: converter.asOf
+  };
+}
+
+// A stored ticket with its segments, flight legs, itinerary and tracked route
+export async function getTicket(client: PrismaClient, id: number) {
+  return client.ticket.findUnique({
+    where: { id },
+    include: {
+      segments: {
+        orderBy: { position: 'asc' },
+        include: { legs: { orderBy: { position: 'asc' } } }
+      },
+      itinerary: true,
+      route: true
+    }
+  });
+}
@@ -0,0 +1,404 @@
+import axios, { AxiosInstance } from 'axios';
+import { TicketData, TripType } from './types.js';
+import { QuotaTracker, getQuotaTracker } from './quota.js';
+import {
+  TravelpayoutsMode,
+  FixtureStore,
+  DEFAULT_FIXTURES_DIR,
+  getTravelpayoutsMode,
+  getFixtureStoreFromEnv,
+  createFixtureStore,
+  createReplayAdapter,
+  recordResponses
+} from './travelpayoutsFixtures.js';
+
+// Default Travelpayouts GraphQL API endpoint; override with TRAVELPAYOUTS_API_URL (e.g. a local mock server)
+export const DEFAULT_GRAPHQL_URL = 'https://api.travelpayouts.com/graphql/v1/query';
+
+// Retries of calls answered with 429 or 5xx, with exponential backoff unless Retry-After says otherwise
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_BASE_MS = 1000;
+// A Retry-After longer than this fails the call instead of holding the request open
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Base class for every error raised by the Travelpayouts client
+export class TravelpayoutsError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TravelpayoutsError';
+  }
+}
+
+// The API answered with a non-2xx status or could not be reached (status is undefined then)
+export class TravelpayoutsHttpError extends TravelpayoutsError {
+  status?: number;
+  statusText?: string;
+  data?: unknown;
+  // Delay requested by the Retry-After header, if any
+  retryAfterMs?: number;
+
+  constructor(message: string, status?: number, statusText?: string, data?: unknown, retryAfterMs?: number) {
+    super(message);
+    this.name = 'TravelpayoutsHttpError';
+    this.status = status;
+    this.statusText = statusText;
+    this.data = data;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  // Rate limiting and server errors are worth retrying
+  get retryable(): boolean {
+    return this.status === 429 || (this.status !== undefined && this.status >= 500);
+  }
+}
+
+// The API answered with GraphQL errors
+export class TravelpayoutsGraphQLError extends TravelpayoutsError {
+  errors: { message: string; [key: string]: unknown }[];
+
+  constructor(errors: { message: string; [key: string]: unknown }[]) {
+    super(`GraphQL error: ${errors.map(error => error.message).join('; ')}`);
+    this.name = 'TravelpayoutsGraphQLError';
+    this.errors = errors;
+  }
+}
+
+// The response body does not have the expected data.<field> shape
+export class TravelpayoutsResponseError extends TravelpayoutsError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'TravelpayoutsResponseError';
+  }
+}
+
+export interface OneWaySearch {
+  origin: string;
+  destination: string;
+  departDateMin: string;
+  departDateMax: string;
+  currency: string;
+  noLowcost: boolean;
+  limit: number;
+}
+
+export interface RoundTripSearch extends OneWaySearch {
+  returnDateMin: string;
+  returnDateMax: string;
+}
+
+// Search of either trip type; return dates are required for round trips only
+export interface FlightSearch extends OneWaySearch {
+  tripType?: TripType | string;
+  returnDateMin?: string | null;
+  returnDateMax?: string | null;
+}
+
+// Ticket fields shared by both queries; prices_round_trip also selects return_at
+const TICKET_FIELDS = `
+    departure_at
+    value
+    trip_duration
+    ticket_link
+    segments {
+      flight_legs {
+        aircraft_code
+        flight_number
+        origin
+        destination
+        departure_at
+        arrival_at
+      }
+    }`;
+
+// prices_round_trip query; all search values are passed as GraphQL variables, never interpolated
+export const PRICES_ROUND_TRIP_QUERY = `
+query PricesRoundTrip(
+  $origin: String!
+  $destination: String!
+  $departDateMin: String!
+  $departDateMax: String!
+  $returnDateMin: String!
+  $returnDateMax: String!
+  $noLowcost: Boolean!
+  $limit: Int!
+  $currency: String!
+) {
+  prices_round_trip(
+    params: {
+      origin: $origin
+      destination: $destination
+      depart_date_min: $departDateMin
+      depart_date_max: $departDateMax
+      return_date_min: $returnDateMin
+      return_date_max: $returnDateMax
+      no_lowcost: $noLowcost
+    }
+    paging: {
+      limit: $limit
+      offset: 0
+    }
+    sorting: VALUE_ASC
+    currency: $currency
+  ) {
+    return_at${TICKET_FIELDS}
+  }
+}`;
+
+// prices_one_way query, same shape as the round-trip one without return dates
+export const PRICES_ONE_WAY_QUERY = `
+query PricesOneWay(
+  $origin: String!
+  $destination: String!
+  $departDateMin: String!
+  $departDateMax: String!
+  $noLowcost: Boolean!
+  $limit: Int!
+  $currency: String!
+) {
+  prices_one_way(
+    params: {
+      origin: $origin
+      destination: $destination
+      depart_date_min: $departDateMin
+      depart_date_max: $departDateMax
+      no_lowcost: $noLowcost
+    }
+    paging: {
+      limit: $limit
+      offset: 0
+    }
+    sorting: VALUE_ASC
+    currency: $currency
+  ) {${TICKET_FIELDS}
+  }
+}`;
+
+// Build the request body (query + variables) for a one-way price search
+export function buildOneWayRequest(search: OneWaySearch) {
+  return {
+    query: PRICES_ONE_WAY_QUERY,
+    variables: {
+      origin: search.origin,
+      destination: search.destination,
+      departDateMin: search.departDateMin,
+      departDateMax: search.departDateMax,
+      noLowcost: search.noLowcost,
+      limit: search.limit,
+      currency: search.currency.toLowerCase()
+    }
+  };
+}
+
+// Build the request body (query + variables) for a round-trip price search
+export function buildRoundTripRequest(search: RoundTripSearch) {
+  return {
+    query: PRICES_ROUND_TRIP_QUERY,
+    variables: {
+      origin: search.origin,
+      destination: search.destination,
+      departDateMin: search.departDateMin,
+      departDateMax: search.departDateMax,
+      returnDateMin: search.returnDateMin,
+      returnDateMax: search.returnDateMax,
+      noLowcost: search.noLowcost,
+      limit: search.limit,
+      currency: search.currency.toLowerCase()
+    }
+  };
+}
+
+export interface TravelpayoutsClientOptions {
+  token: string;
+  baseUrl?: string;
+  timeout?: number;
+  // Rate limiter and usage counter applied to every call, retries included
+  quota?: QuotaTracker;
+  maxRetries?: number;
+  retryBaseMs?: number;
+  // live (default), record or replay, with the fixtures used by the last two
+  mode?: TravelpayoutsMode;
+  fixtures?: FixtureStore;
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value: unknown, now: number = Date.now()): number | undefined {
+  if (typeof value !== 'string' || value.trim() === '') return undefined;
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(date - now, 0);
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class TravelpayoutsClient {
+  readonly baseUrl: string;
+  readonly mode: TravelpayoutsMode;
+  private http: AxiosInstance;
+  private quota?: QuotaTracker;
+  private maxRetries: number;
+  private retryBaseMs: number;
+
+  constructor(options: TravelpayoutsClientOptions) {
+    this.baseUrl = options.baseUrl || DEFAULT_GRAPHQL_URL;
+    this.quota = options.quota;
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.retryBaseMs = options.retryBaseMs ?? DEFAULT_RETRY_BASE_MS;
+    this.mode = options.mode ?? 'live';
+    this.http = axios.create({
+      timeout: options.timeout ?? 15000,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Access-token': options.token
+      }
+    });
+
+    if (this.mode !== 'live') {
+      const fixtures = options.fixtures ?? getFixtureStoreFromEnv();
+      if (this.mode === 'replay') {
+        this.http.defaults.adapter = createReplayAdapter(fixtures);
+      } else {
+        recordResponses(this.http, fixtures);
+      }
+    }
+  }
+
+  // One HTTP call, counted against the quota
+  private async post(body: { query: string; variables?: Record<string, unknown> }) {
+    await this.quota?.acquire();
+    try {
+      const response = await this.http.post(this.baseUrl, body);
+      await this.quota?.record('ok');
+      return response;
+    } catch (error: any) {
+      await this.quota?.record(error.response?.status === 429 ? 'rate_limited' : 'error');
+      if (error.response) {
+        throw new TravelpayoutsHttpError(
+          `Travelpayouts API responded with ${error.response.status}`,
+          error.response.status,
+          error.response.statusText,
+          error.response.data,
+          parseRetryAfter(error.response.headers?.['retry-after'])
+        );
+      }
+      throw new TravelpayoutsHttpError(`Travelpayouts API request failed: ${error.message}`);
+    }
+  }
+
+  // Run a GraphQL request and return data.<field>, raising a typed error for every failure mode
+  async request<T>(body: { query: string; variables?: Record<string, unknown> }, field: string): Promise<T> {
+    console.log(this.mode === 'replay' ? 'Replaying recorded API request' : 'Making API request to:', this.baseUrl);
+
+    let response;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        response = await this.post(body);
+        break;
+      } catch (error) {
+        if (!(error instanceof TravelpayoutsHttpError) || !error.retryable || attempt >= this.maxRetries) {
+          throw error;
+        }
+        const delay = error.retryAfterMs ?? this.retryBaseMs * 2 ** attempt;
+        if (delay > MAX_RETRY_DELAY_MS) {
+          throw error;
+        }
+        console.warn(`Travelpayouts API responded with ${error.status}, retrying in ${delay}ms (retry ${attempt + 1} of ${this.maxRetries})`);
+        await sleep(delay);
+      }
+    }
+
+    console.log("API response received with status:", response.status);
+
+    if (!response.data) {
+      throw new TravelpayoutsResponseError('No data in API response');
+    }
+
+    if (Array.isArray(response.data.errors) && response.data.errors.length > 0) {
+      throw new TravelpayoutsGraphQLError(response.data.errors);
+    }
+
+    if (!response.data.data) {
+      throw new TravelpayoutsResponseError('Invalid API response format: missing data.data');
+    }
+
+    if (!response.data.data[field]) {
+      throw new TravelpayoutsResponseError(`Invalid API response format: missing ${field}`);
+    }
+
+    return response.data.data[field] as T;
+  }
+
+  async searchRoundTrip(search: RoundTripSearch): Promise<TicketData[]> {
+    return this.request<TicketData[]>(buildRoundTripRequest(search), 'prices_round_trip');
+  }
+
+  async searchOneWay(search: OneWaySearch): Promise<TicketData[]> {
+    return this.request<TicketData[]>(buildOneWayRequest(search), 'prices_one_way');
+  }
+
+  // Dispatch on tripType (round_trip when omitted)
+  async search(search: FlightSearch): Promise<TicketData[]> {
+    if (search.tripType === 'one_way') {
+      return this.searchOneWay(search);
+    }
+    if (!search.returnDateMin || !search.returnDateMax) {
+      throw new TravelpayoutsError('Return dates are required for round-trip searches');
+    }
+    return this.searchRoundTrip({
+      ...search,
+      returnDateMin: search.returnDateMin,
+      returnDateMax: search.returnDateMax
+    });
+  }
+}
+
+export interface TravelpayoutsConfig {
+  token: string | null;
+  // GraphQL endpoint (DEFAULT_GRAPHQL_URL when null)
+  baseUrl: string | null;
+  mode: TravelpayoutsMode;
+  // Where record mode saves responses and replay mode reads them
+  fixturesDir: string;
+}
+
+// Configuration from TRAVELPAYOUTS_API_TOKEN, TRAVELPAYOUTS_API_URL, TRAVELPAYOUTS_MODE and TRAVELPAYOUTS_FIXTURES_DIR
+export function getTravelpayoutsConfigFromEnv(env: NodeJS.ProcessEnv = process.env): TravelpayoutsConfig {
+  return {
+    token: env.TRAVELPAYOUTS_API_TOKEN || null,
+    baseUrl: env.TRAVELPAYOUTS_API_URL || null,
+    mode: getTravelpayoutsMode(env),
+    fixturesDir: env.TRAVELPAYOUTS_FIXTURES_DIR || DEFAULT_FIXTURES_DIR
+  };
+}
+
+// Whether Travelpayouts searches can run: an API token is set, or recorded responses are replayed
+export function hasTravelpayoutsCredentials(config: TravelpayoutsConfig = getTravelpayoutsConfigFromEnv()): boolean {
+  return Boolean(config.token) || config.mode === 'replay';
+}
+
+// Client of a configuration, counting its calls against the quota.
+// Replayed calls need no token and are not counted.
+export function createTravelpayoutsClient(config: TravelpayoutsConfig, quota?: QuotaTracker): TravelpayoutsClient {
+  const token = config.token || (config.mode === 'replay' ? 'replay' : undefined);
+  if (!token) {
+    throw new TravelpayoutsError('API key not found. Make sure the .env file contains TRAVELPAYOUTS_API_TOKEN');
+  }
+  return new TravelpayoutsClient({
+    token,
+    baseUrl: config.baseUrl ?? undefined,
+    quota: config.mode === 'replay' ? undefined : quota,
+    mode: config.mode,
+    fixtures: createFixtureStore(config.fixturesDir)
+  });
+}
+
+let defaultClient: TravelpayoutsClient | undefined;
+
+// Shared client configured from the environment, used by the CLI and the standalone price check
+export function getTravelpayoutsClient(): TravelpayoutsClient {
+  if (!defaultClient) {
+    defaultClient = createTravelpayoutsClient(getTravelpayoutsConfigFromEnv(), getQuotaTracker());
+  }
+  return defaultClient;
+}
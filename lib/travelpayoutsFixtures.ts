@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { AxiosAdapter, AxiosError, AxiosInstance, AxiosResponse } from 'axios';
+
+// live calls the API; record calls it and saves every successful response as a fixture;
+// replay answers from the fixtures without any network access or API token
+export const TRAVELPAYOUTS_MODES = ['live', 'record', 'replay'] as const;
+export type TravelpayoutsMode = typeof TRAVELPAYOUTS_MODES[number];
+
+export const DEFAULT_FIXTURES_DIR = 'fixtures/travelpayouts';
+
+export interface GraphQLRequestBody {
+  query: string;
+  variables?: Record<string, unknown>;
+}
+
+// A recorded GraphQL request with the response the API gave to it
+export interface TravelpayoutsFixture {
+  request: GraphQLRequestBody;
+  response: { status: number; data: unknown };
+  recordedAt: string;
+}
+
+// Thrown in replay mode for a request that was never recorded
+export class FixtureNotFoundError extends Error {
+  constructor(readonly file: string) {
+    super(`No recorded Travelpayouts fixture ${file}; record it with TRAVELPAYOUTS_MODE=record`);
+    this.name = 'FixtureNotFoundError';
+  }
+}
+
+// Mode from TRAVELPAYOUTS_MODE (live by default)
+export function getTravelpayoutsMode(env: NodeJS.ProcessEnv = process.env): TravelpayoutsMode {
+  const mode = (env.TRAVELPAYOUTS_MODE || 'live').toLowerCase() as TravelpayoutsMode;
+  if (!TRAVELPAYOUTS_MODES.includes(mode)) {
+    console.warn(`Unknown TRAVELPAYOUTS_MODE "${mode}", calling the live API`);
+    return 'live';
+  }
+  return mode;
+}
+
+function sortKeys(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys((value as Record<string, unknown>)[key])]));
+  }
+  return value;
+}
+
+// File name of a request: the route (when the variables have one) and a hash of the query with
+// collapsed whitespace and the variables in key order, e.g. "YUL-YVR-3f9c0a1b2c3d4e5f.json".
+// Changing a query changes the hash, so its fixtures have to be recorded again.
+export function fixtureFileName(body: GraphQLRequestBody): string {
+  const variables = body.variables ?? {};
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify({ query: body.query.replace(/\s+/g, ' ').trim(), variables: sortKeys(variables) }))
+    .digest('hex')
+    .substring(0, 16);
+  const route = [variables.origin, variables.destination]
+    .filter(code => typeof code === 'string' && /^[A-Za-z]{3}$/.test(code))
+    .map(code => String(code).toUpperCase());
+  return `${[...route, hash].join('-')}.json`;
+}
+
+export interface FixtureStore {
+  dir: string;
+  load(body: GraphQLRequestBody): TravelpayoutsFixture | null;
+  save(body: GraphQLRequestBody, response: { status: number; data: unknown }): string;
+}
+
+// Fixtures kept as one JSON file per request in a directory
+export function createFixtureStore(dir: string = DEFAULT_FIXTURES_DIR): FixtureStore {
+  return {
+    dir,
+    load(body) {
+      const file = path.join(dir, fixtureFileName(body));
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, 'utf8')) as TravelpayoutsFixture;
+    },
+    save(body, response) {
+      const file = path.join(dir, fixtureFileName(body));
+      const fixture: TravelpayoutsFixture = {
+        request: body,
+        response: { status: response.status, data: response.data },
+        recordedAt: new Date().toISOString()
+      };
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+      return file;
+    }
+  };
+}
+
+// Store from TRAVELPAYOUTS_FIXTURES_DIR (fixtures/travelpayouts by default)
+export function getFixtureStoreFromEnv(env: NodeJS.ProcessEnv = process.env): FixtureStore {
+  return createFixtureStore(env.TRAVELPAYOUTS_FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+}
+
+function requestBody(data: unknown): GraphQLRequestBody {
+  return (typeof data === 'string' ? JSON.parse(data) : data) as GraphQLRequestBody;
+}
+
+// Axios adapter answering every request from the fixtures. Recorded error statuses are rejected
+// like a real response, so the client's retry and error handling see the same thing as live.
+export function createReplayAdapter(store: FixtureStore): AxiosAdapter {
+  return async config => {
+    const body = requestBody(config.data);
+    const fixture = store.load(body);
+    if (!fixture) {
+      throw new FixtureNotFoundError(path.join(store.dir, fixtureFileName(body)));
+    }
+
+    const response: AxiosResponse = {
+      data: fixture.response.data,
+      status: fixture.response.status,
+      statusText: '',
+      headers: {},
+      config,
+      request: {}
+    };
+    if (config.validateStatus && !config.validateStatus(response.status)) {
+      throw new AxiosError(`Request failed with status code ${response.status}`, AxiosError.ERR_BAD_RESPONSE, config, {}, response);
+    }
+    return response;
+  };
+}
+
+// Save the successful responses of an axios instance as fixtures. Failed calls are not recorded,
+// so a rate-limited call does not replace a good fixture.
+export function recordResponses(http: AxiosInstance, store: FixtureStore): void {
+  http.interceptors.response.use(response => {
+    const file = store.save(requestBody(response.config.data), response);
+    console.log(`Recorded Travelpayouts fixture ${file}`);
+    return response;
+  });
+}
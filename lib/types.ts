@@ -0,0 +1,28 @@
+// Shapes of the Travelpayouts GraphQL prices_round_trip / prices_one_way responses
+
+export interface FlightLeg {
+  aircraft_code: string;
+  flight_number: string;
+  origin: string;
+  destination: string;
+  departure_at: string;
+  arrival_at: string;
+}
+
+export interface Segment {
+  flight_legs: FlightLeg[];
+}
+
+export type TripType = 'round_trip' | 'one_way';
+
+export const TRIP_TYPES: TripType[] = ['round_trip', 'one_way'];
+
+export interface TicketData {
+  departure_at: string;
+  // Not present for one-way tickets
+  return_at?: string | null;
+  value: number;
+  trip_duration: number;
+  ticket_link: string;
+  segments: Segment[];
+}
@@ -0,0 +1,272 @@
+// Schemas for request bodies and query strings. A schema converts its input to typed data and
+// reports one error per invalid field, so the HTTP routes and the CLI validate the same way.
+
+export interface FieldError {
+  // Path of the field in the input, e.g. "origin" or "legs[1].departDateMin"
+  field: string;
+  message: string;
+}
+
+// Thrown by assertValid() for programmatic callers
+export class ValidationError extends Error {
+  constructor(readonly errors: FieldError[], message = 'Invalid request') {
+    super(`${message}: ${errors.map(error => error.message).join('; ')}`);
+    this.name = 'ValidationError';
+  }
+}
+
+export interface ValidationResult<T> {
+  data: T;
+  errors: FieldError[];
+}
+
+export abstract class Schema<T> {
+  abstract parse(value: unknown, field: string): ValidationResult<T>;
+}
+
+export type Infer<S> = S extends Schema<infer T> ? T : never;
+
+// Query strings send empty inputs as "", so they count as missing like undefined and null
+function isMissing(value: unknown): boolean {
+  return value === undefined || value === null || value === '';
+}
+
+function fieldPath(parent: string, key: string | number): string {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+type Check<T> = (value: unknown, field: string) => { value: T } | { error: string };
+
+type Presence<T> = { kind: 'required' } | { kind: 'optional' } | { kind: 'default'; value: T };
+
+// A single value: required unless .optional() or .default() is used
+export class FieldSchema<T> extends Schema<T> {
+  constructor(private readonly check: Check<T>, private readonly presence: Presence<T> = { kind: 'required' }) {
+    super();
+  }
+
+  optional(): FieldSchema<T | undefined> {
+    return new FieldSchema<T | undefined>(this.check, { kind: 'optional' });
+  }
+
+  default(value: T): FieldSchema<T> {
+    return new FieldSchema<T>(this.check, { kind: 'default', value });
+  }
+
+  parse(value: unknown, field: string): ValidationResult<T> {
+    if (isMissing(value)) {
+      if (this.presence.kind === 'default') return { data: this.presence.value, errors: [] };
+      if (this.presence.kind === 'optional') return { data: undefined as T, errors: [] };
+      return { data: undefined as T, errors: [{ field, message: `${field} is required` }] };
+    }
+    const result = this.check(value, field);
+    if ('error' in result) {
+      return { data: undefined as T, errors: [{ field, message: `${field} ${result.error}` }] };
+    }
+    return { data: result.value, errors: [] };
+  }
+}
+
+type Shape = Record<string, Schema<any>>;
+type ShapeData<S extends Shape> = { [K in keyof S]: Infer<S[K]> };
+type PartialShape<S extends Shape> = { [K in keyof S]: Schema<Infer<S[K]> | undefined> };
+
+// Rules over several fields, run once every field is valid
+type Refinement<T> = (data: T, field: string) => FieldError[];
+
+export class ObjectSchema<S extends Shape> extends Schema<ShapeData<S>> {
+  constructor(readonly shape: S, private readonly refinements: Refinement<ShapeData<S>>[] = []) {
+    super();
+  }
+
+  refine(rule: Refinement<ShapeData<S>>): ObjectSchema<S> {
+    return new ObjectSchema(this.shape, [...this.refinements, rule]);
+  }
+
+  // Every field optional, without defaults or refinements (for partial updates)
+  partial(): ObjectSchema<PartialShape<S>> {
+    const shape = Object.fromEntries(Object.entries(this.shape).map(([key, schema]) => [
+      key,
+      schema instanceof FieldSchema ? schema.optional() : schema
+    ]));
+    return new ObjectSchema(shape as PartialShape<S>);
+  }
+
+  parse(value: unknown, field: string): ValidationResult<ShapeData<S>> {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      const message = field ? `${field} must be an object` : 'request must be a JSON object';
+      return { data: {} as ShapeData<S>, errors: [{ field, message }] };
+    }
+
+    const data: Record<string, unknown> = {};
+    const errors: FieldError[] = [];
+    for (const [key, schema] of Object.entries(this.shape)) {
+      const result = schema.parse((value as Record<string, unknown>)[key], fieldPath(field, key));
+      errors.push(...result.errors);
+      // Unset optional fields are left out, so the data can be passed to Prisma as is
+      if (result.data !== undefined) data[key] = result.data;
+    }
+
+    if (errors.length === 0) {
+      for (const rule of this.refinements) {
+        errors.push(...rule(data as ShapeData<S>, field));
+      }
+    }
+    return { data: data as ShapeData<S>, errors };
+  }
+}
+
+export class ArraySchema<T> extends Schema<T[]> {
+  constructor(private readonly item: Schema<T>, private readonly min: number, private readonly max: number, private readonly noun: string) {
+    super();
+  }
+
+  parse(value: unknown, field: string): ValidationResult<T[]> {
+    if (!Array.isArray(value) || value.length < this.min || value.length > this.max) {
+      return { data: [], errors: [{ field, message: `${field} must be an array of ${this.min} to ${this.max} ${this.noun}` }] };
+    }
+    const results = value.map((item, index) => this.item.parse(item, fieldPath(field, index)));
+    return {
+      data: results.map(result => result.data),
+      errors: results.flatMap(result => result.errors)
+    };
+  }
+}
+
+export function object<S extends Shape>(shape: S): ObjectSchema<S> {
+  return new ObjectSchema(shape);
+}
+
+export function array<T>(item: Schema<T>, { min = 0, max = Infinity, noun = 'items' } = {}): ArraySchema<T> {
+  return new ArraySchema(item, min, max, noun);
+}
+
+// Any other single-value check; the error is appended to the field name
+export function field<T>(check: Check<T>): FieldSchema<T> {
+  return new FieldSchema(check);
+}
+
+export function text({ maxLength = 200, trim = true } = {}): FieldSchema<string> {
+  return field<string>(value => {
+    if (typeof value !== 'string') return { error: 'must be a string' };
+    const string = trim ? value.trim() : value;
+    if (string === '') return { error: 'must not be empty' };
+    if (string.length > maxLength) return { error: `must be at most ${maxLength} characters` };
+    return { value: string };
+  });
+}
+
+function code(pattern: RegExp, description: string, normalize: (code: string) => string): FieldSchema<string> {
+  return field<string>(value => {
+    const normalized = normalize(String(value).trim());
+    return pattern.test(normalized) ? { value: normalized } : { error: `must be ${description}` };
+  });
+}
+
+export function iataCode(): FieldSchema<string> {
+  return code(/^[A-Z]{3}$/, 'a 3-letter IATA code', value => value.toUpperCase());
+}
+
+export function airlineCode(): FieldSchema<string> {
+  return code(/^[A-Z0-9]{2}$/, 'a 2-character airline code', value => value.toUpperCase());
+}
+
+// Lower-case currency code, limited to the allowed currencies when they are given
+export function currencyCode(allowed?: readonly string[]): FieldSchema<string> {
+  return field<string>(value => {
+    const currency = String(value).trim().toLowerCase();
+    if (!/^[a-z]{3}$/.test(currency)) return { error: 'must be a 3-letter currency code' };
+    if (allowed && !allowed.includes(currency)) return { error: `must be one of: ${allowed.join(', ')}` };
+    return { value: currency };
+  });
+}
+
+// A calendar date in YYYY-MM-DD format ("2025-02-30" is rejected)
+export function isoDate(): FieldSchema<string> {
+  return field<string>(value => {
+    const date = String(value);
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    const parsed = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+    if (!parsed || parsed.toISOString().substring(0, 10) !== date) {
+      return { error: 'must be a date in YYYY-MM-DD format' };
+    }
+    return { value: date };
+  });
+}
+
+export function month(): FieldSchema<string> {
+  return code(/^\d{4}-(0[1-9]|1[0-2])$/, 'in YYYY-MM format', value => value);
+}
+
+export function timestamp(): FieldSchema<Date> {
+  return field<Date>(value => {
+    const date = value instanceof Date ? value : new Date(String(value));
+    return Number.isNaN(date.getTime()) ? { error: 'must be an ISO date or timestamp' } : { value: date };
+  });
+}
+
+// Integers are also accepted as strings, as query strings send them
+export function integer({ min = -Infinity, max = Infinity } = {}): FieldSchema<number> {
+  let description = 'an integer';
+  if (min > -Infinity && max < Infinity) description = `an integer between ${min} and ${max}`;
+  else if (min === 1) description = 'a positive integer';
+  else if (min === 0) description = 'a non-negative integer';
+  else if (min > -Infinity) description = `an integer of at least ${min}`;
+
+  return field<number>(value => {
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isInteger(number) || number < min || number > max) {
+      return { error: `must be ${description}` };
+    }
+    return { value: number };
+  });
+}
+
+// A number strictly between min and max
+export function numberBetween(min: number, max: number): FieldSchema<number> {
+  return field<number>(value => {
+    const number = typeof value === 'string' ? Number(value.trim()) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number <= min || number >= max) {
+      return { error: `must be a number between ${min} and ${max}` };
+    }
+    return { value: number };
+  });
+}
+
+export function boolean(): FieldSchema<boolean> {
+  return field<boolean>(value => typeof value === 'boolean' ? { value } : { error: 'must be a boolean' });
+}
+
+// Query string flag: "true" or "false"
+export function flag(): FieldSchema<boolean> {
+  return field<boolean>(value => {
+    if (value === true || value === 'true') return { value: true };
+    if (value === false || value === 'false') return { value: false };
+    return { error: 'must be true or false' };
+  });
+}
+
+export function oneOf<T extends string>(values: readonly T[]): FieldSchema<T> {
+  return field<T>(value => values.includes(value as T)
+    ? { value: value as T }
+    : { error: `must be one of: ${values.join(', ')}` });
+}
+
+// Validate input against a schema
+export function validate<T>(schema: Schema<T>, input: unknown): ValidationResult<T> {
+  return schema.parse(input, '');
+}
+
+// Validate input and return its data, throwing a ValidationError when it is invalid
+export function assertValid<T>(schema: Schema<T>, input: unknown, message?: string): T {
+  const { data, errors } = validate(schema, input);
+  if (errors.length > 0) {
+    throw new ValidationError(errors, message);
+  }
+  return data;
+}
+
+export function fieldError(field: string, message: string): FieldError {
+  return { field, message };
+}
@@ -0,0 +1,94 @@
+import express from 'express';
+import { validate, alertRuleSchema } from '../dist/index.js';
+import { sendServerError, sendValidationError, parseId, ownedBy, canAccess } from './utils.js';
+
+// Fare alert rules and the events they have fired
+export default function createAlertsRouter(getPrismaClient) {
+  const router = express.Router();
+
+  router.get('/', async (req, res) => {
+    try {
+      const alerts = await getPrismaClient().alertRule.findMany({
+        where: ownedBy(req.user),
+        orderBy: { id: 'asc' },
+        include: { _count: { select: { events: true } } }
+      });
+      return res.json({ success: true, alerts });
+    } catch (error) {
+      return sendServerError(res, 'Failed to list alerts', error);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    const { data, errors } = validate(alertRuleSchema, req.body || {});
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid alert rule', errors);
+    }
+
+    try {
+      const client = getPrismaClient();
+      if (data.routeId) {
+        const route = await client.trackedRoute.findUnique({ where: { id: data.routeId } });
+        if (!route || !canAccess(req.user, route)) {
+          return sendValidationError(res, 'Invalid alert rule', [
+            { field: 'routeId', message: 'routeId does not match a tracked route' }
+          ]);
+        }
+      }
+
+      const alert = await client.alertRule.create({ data: { ...data, userId: req.user.id } });
+      console.log(`Alert rule created with ID: ${alert.id}`);
+      return res.status(201).json({ success: true, alert });
+    } catch (error) {
+      return sendServerError(res, 'Failed to create alert', error);
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid alert id' });
+    }
+
+    try {
+      const client = getPrismaClient();
+      const existing = await client.alertRule.findUnique({ where: { id } });
+      if (!existing || !canAccess(req.user, existing)) {
+        return res.status(404).json({ success: false, message: 'Alert not found' });
+      }
+
+      await client.alertRule.delete({ where: { id } });
+      console.log(`Alert rule ${id} deleted`);
+      return res.json({ success: true, message: 'Alert deleted' });
+    } catch (error) {
+      return sendServerError(res, 'Failed to delete alert', error);
+    }
+  });
+
+  // Events fired by a rule, newest first, with the ticket that matched and its deliveries
+  router.get('/:id/events', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid alert id' });
+    }
+
+    try {
+      const client = getPrismaClient();
+      const alert = await client.alertRule.findUnique({ where: { id } });
+      if (!alert || !canAccess(req.user, alert)) {
+        return res.status(404).json({ success: false, message: 'Alert not found' });
+      }
+
+      const events = await client.alertEvent.findMany({
+        where: { ruleId: id },
+        orderBy: { createdAt: 'desc' },
+        include: { ticket: true, deliveries: true }
+      });
+      return res.json({ success: true, alert, events });
+    } catch (error) {
+      return sendServerError(res, 'Failed to load alert events', error);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,62 @@
+import express from 'express';
+import {
+  getRouteAnalytics,
+  getRoutePriceHistory,
+  ExchangeRateError,
+  validate,
+  analyticsQuerySchema
+} from '../dist/index.js';
+import { sendServerError, sendValidationError } from './utils.js';
+
+// The route comes from the path, e.g. /routes/YUL-YVR. Users see statistics of the tickets
+// stored for their searches and routes; admins those of every ticket.
+function parseAnalyticsRequest(req) {
+  const result = validate(analyticsQuerySchema, { ...req.query, origin: req.params.origin, destination: req.params.destination });
+  if (result.errors.length === 0 && req.user.role !== 'admin') {
+    result.data.userId = req.user.id;
+  }
+  return result;
+}
+
+// Price statistics computed from the stored tickets
+export default function createAnalyticsRouter(getPrismaClient) {
+  const router = express.Router();
+
+  // GET /api/analytics/routes/YUL-YVR?currency=cad&days=90[&tripType=round_trip][&displayCurrency=usd]
+  router.get('/routes/:origin-:destination', async (req, res) => {
+    const { data: query, errors } = parseAnalyticsRequest(req);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid analytics request', errors);
+    }
+
+    try {
+      const analytics = await getRouteAnalytics(getPrismaClient(), query);
+      return res.json({ success: true, ...analytics });
+    } catch (error) {
+      if (error instanceof ExchangeRateError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      return sendServerError(res, 'Failed to compute route analytics', error);
+    }
+  });
+
+  // Lowest and highest fare of each check, for the route history chart
+  router.get('/routes/:origin-:destination/history', async (req, res) => {
+    const { data: query, errors } = parseAnalyticsRequest(req);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid route history request', errors);
+    }
+
+    try {
+      const history = await getRoutePriceHistory(getPrismaClient(), query);
+      return res.json({ success: true, ...history });
+    } catch (error) {
+      if (error instanceof ExchangeRateError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      return sendServerError(res, 'Failed to load route price history', error);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,156 @@
+import express from 'express';
+import {
+  registerUser,
+  login,
+  logout,
+  findUserBySessionToken,
+  findUserByApiKey,
+  createApiKey,
+  revokeApiKey,
+  toPublicUser,
+  secretsMatch,
+  AuthError,
+  validate,
+  credentialsSchema
+} from '../dist/index.js';
+import { sendServerError, sendValidationError } from './utils.js';
+
+// Scheduled jobs (Vercel cron sends "Authorization: Bearer $CRON_SECRET") act as an admin
+const CRON_USER = { id: null, email: null, role: 'admin', system: true };
+
+// Bearer session token, bearer API key ("ft_...") or X-API-Key header
+function readCredentials(req) {
+  const header = req.get('authorization') || '';
+  const bearer = /^Bearer\s+(\S+)$/i.exec(header)?.[1];
+  const apiKey = req.get('x-api-key') || (bearer?.startsWith('ft_') ? bearer : undefined);
+  return { bearer: apiKey === bearer ? undefined : bearer, apiKey };
+}
+
+// Resolve the user of the request into req.user, answering 401 without valid credentials.
+// options.cronSecret is the bearer secret of scheduled jobs (none when null).
+export function createAuthMiddleware(getPrismaClient, { cronSecret = null } = {}) {
+  return async (req, res, next) => {
+    const { bearer, apiKey } = readCredentials(req);
+
+    try {
+      let user = null;
+      if (bearer && cronSecret && secretsMatch(bearer, cronSecret)) {
+        user = CRON_USER;
+      } else if (bearer) {
+        user = await findUserBySessionToken(getPrismaClient(), bearer);
+      } else if (apiKey) {
+        user = await findUserByApiKey(getPrismaClient(), apiKey);
+      }
+
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          message: bearer || apiKey ? 'Invalid or expired credentials' : 'Authentication required'
+        });
+      }
+
+      req.user = user;
+      return next();
+    } catch (error) {
+      return sendServerError(res, 'Authentication failed', error);
+    }
+  };
+}
+
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Admin role required' });
+  }
+  return next();
+}
+
+// Registration, login/logout and API keys. Only /register and /login are public;
+// the other routes run after the auth middleware.
+// options holds the cronSecret of the middleware and the AuthConfig (adminEmails, sessionTtlDays).
+export default function createAuthRouter(getPrismaClient, options = {}) {
+  const router = express.Router();
+  const authenticate = createAuthMiddleware(getPrismaClient, options);
+  const { cronSecret, ...authConfig } = options;
+
+  router.post('/register', async (req, res) => {
+    const { data: { email, password }, errors } = validate(credentialsSchema, req.body || {});
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid registration', errors);
+    }
+
+    try {
+      const user = await registerUser(getPrismaClient(), email, password, authConfig);
+      console.log(`User ${user.id} registered`);
+      return res.status(201).json({ success: true, user: toPublicUser(user) });
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      return sendServerError(res, 'Registration failed', error);
+    }
+  });
+
+  // Returns a bearer token for the Authorization header
+  router.post('/login', async (req, res) => {
+    const { data: { email, password }, errors } = validate(credentialsSchema, req.body || {});
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid login request', errors);
+    }
+
+    try {
+      const { user, token, expiresAt } = await login(getPrismaClient(), email, password, authConfig);
+      return res.json({ success: true, token, expiresAt, user: toPublicUser(user) });
+    } catch (error) {
+      if (error instanceof AuthError) {
+        return res.status(401).json({ success: false, message: error.message });
+      }
+      return sendServerError(res, 'Login failed', error);
+    }
+  });
+
+  router.post('/logout', authenticate, async (req, res) => {
+    const { bearer } = readCredentials(req);
+    try {
+      if (bearer && !req.user.system) {
+        await logout(getPrismaClient(), bearer);
+      }
+      return res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+      return sendServerError(res, 'Logout failed', error);
+    }
+  });
+
+  router.get('/me', authenticate, (req, res) => {
+    if (req.user.system) {
+      return res.json({ success: true, user: { role: req.user.role, system: true } });
+    }
+    return res.json({ success: true, user: toPublicUser(req.user) });
+  });
+
+  // Issue (or replace) the API key of the current user; it is shown only once
+  router.post('/api-key', authenticate, async (req, res) => {
+    if (req.user.system) {
+      return res.status(400).json({ success: false, message: 'Scheduled jobs cannot have an API key' });
+    }
+    try {
+      const { user, apiKey } = await createApiKey(getPrismaClient(), req.user.id);
+      return res.status(201).json({ success: true, apiKey, user: toPublicUser(user) });
+    } catch (error) {
+      return sendServerError(res, 'Failed to create API key', error);
+    }
+  });
+
+  router.delete('/api-key', authenticate, async (req, res) => {
+    if (req.user.system) {
+      return res.status(400).json({ success: false, message: 'Scheduled jobs cannot have an API key' });
+    }
+    try {
+      const user = await revokeApiKey(getPrismaClient(), req.user.id);
+      return res.json({ success: true, message: 'API key revoked', user: toPublicUser(user) });
+    } catch (error) {
+      return sendServerError(res, 'Failed to revoke API key', error);
+    }
+  });
+
+  return router;
+}
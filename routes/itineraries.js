@@ -0,0 +1,28 @@
+import express from 'express';
+import { getItineraryHistory } from '../dist/index.js';
+import { sendServerError, parseId, ownedBy } from './utils.js';
+
+// Read endpoints for itineraries and their price history
+export default function createItinerariesRouter(getPrismaClient) {
+  const router = express.Router();
+
+  // Price time series for one itinerary, oldest observation first; users see their own observations
+  router.get('/:id/history', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid itinerary id' });
+    }
+
+    try {
+      const result = await getItineraryHistory(getPrismaClient(), id, ownedBy(req.user));
+      if (!result) {
+        return res.status(404).json({ success: false, message: 'Itinerary not found' });
+      }
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      return sendServerError(res, 'Failed to load itinerary history', error);
+    }
+  });
+
+  return router;
+}
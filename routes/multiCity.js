@@ -0,0 +1,85 @@
+import express from 'express';
+import {
+  searchMultiCity,
+  saveMultiCityItineraries,
+  getMultiCityItinerary,
+  validate,
+  multiCitySearchSchema
+} from '../dist/index.js';
+import { sendServerError, sendValidationError, parseId, canAccess } from './utils.js';
+
+// Multi-city / open-jaw search composed from one-way legs, and stored composite itineraries.
+// options.getTravelpayoutsClient returns the app's client (null without an API token);
+// options.observationWindowMinutes is the observation window of saved legs.
+export default function createMultiCityRouter(getPrismaClient, options = {}) {
+  const router = express.Router();
+
+  // Pass save: true to store the returned combinations as composite itineraries
+  router.post('/search-multi-city', async (req, res) => {
+    console.log(`Multi-city search request received at ${new Date().toISOString()}`);
+    console.log('Search parameters:', req.body);
+
+    const { data: { save, ...search }, errors } = validate(multiCitySearchSchema, req.body || {});
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid multi-city search', errors);
+    }
+
+    const travelpayouts = options.getTravelpayoutsClient();
+    if (!travelpayouts) {
+      console.error('❌ API key not found. Make sure the .env file contains TRAVELPAYOUTS_API_TOKEN');
+      return res.status(500).json({
+        success: false,
+        message: 'API key not configured on server'
+      });
+    }
+
+    try {
+      const { combinations, faresPerLeg } = await searchMultiCity(travelpayouts, search);
+      console.log(`Found ${combinations.length} multi-city combinations (fares per leg: ${faresPerLeg.join(', ')})`);
+
+      let saved = [];
+      if (save && combinations.length > 0) {
+        try {
+          saved = await saveMultiCityItineraries(getPrismaClient(), combinations, req.user.id, {
+            windowMinutes: options.observationWindowMinutes
+          });
+          console.log(`✅ Saved ${saved.length} multi-city itineraries to database`);
+        } catch (dbError) {
+          console.error('Error saving multi-city itineraries to database:', dbError);
+          // Continue to return results to the user even if database save fails
+        }
+      }
+
+      return res.json({
+        success: true,
+        message: `Found ${combinations.length} multi-city combinations`,
+        faresPerLeg,
+        combinations: combinations.map((combination, index) => ({
+          ...combination,
+          multiCityItineraryId: saved[index]?.id
+        }))
+      });
+    } catch (error) {
+      return sendServerError(res, 'Multi-city search failed', error);
+    }
+  });
+
+  router.get('/multi-city-itineraries/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid itinerary id' });
+    }
+
+    try {
+      const itinerary = await getMultiCityItinerary(getPrismaClient(), id);
+      if (!itinerary || !canAccess(req.user, itinerary)) {
+        return res.status(404).json({ success: false, message: 'Multi-city itinerary not found' });
+      }
+      return res.json({ success: true, itinerary });
+    } catch (error) {
+      return sendServerError(res, 'Failed to load multi-city itinerary', error);
+    }
+  });
+
+  return router;
+}
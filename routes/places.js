@@ -0,0 +1,57 @@
+import express from 'express';
+import {
+  searchPlaces,
+  importPlaces,
+  PlaceDataError,
+  validate,
+  placeQuerySchema,
+  placeImportQuerySchema
+} from '../dist/index.js';
+import { sendServerError, sendValidationError } from './utils.js';
+import { requireAdmin } from './auth.js';
+
+// Airport, city and airline reference data; importing it requires the admin role
+export default function createPlacesRouter(getPrismaClient) {
+  const router = express.Router();
+
+  // GET /api/places?q=montr[&limit=10] -> cities and airports matching a code, name or city
+  router.get('/', async (req, res) => {
+    const { data: query, errors } = validate(placeQuerySchema, req.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid place query', errors);
+    }
+
+    try {
+      const places = await searchPlaces(getPrismaClient(), query.q, query.limit);
+      return res.json({ success: true, places });
+    } catch (error) {
+      return sendServerError(res, 'Failed to search places', error);
+    }
+  });
+
+  // Upload an OurAirports-style CSV file as the request body: ?dataset=airports|cities|airlines
+  router.post('/import', requireAdmin, express.text({ type: 'text/*', limit: '20mb' }), async (req, res) => {
+    const { data: query, errors } = validate(placeImportQuerySchema, req.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid place import', errors);
+    }
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Send a CSV file with a text/csv content type'
+      });
+    }
+
+    try {
+      const imported = await importPlaces(getPrismaClient(), query.dataset, req.body);
+      return res.json({ success: true, message: `Imported ${imported} ${query.dataset}`, dataset: query.dataset, imported });
+    } catch (error) {
+      if (error instanceof PlaceDataError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      return sendServerError(res, `Failed to import ${query.dataset}`, error);
+    }
+  });
+
+  return router;
+}
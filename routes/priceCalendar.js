@@ -0,0 +1,46 @@
+import express from 'express';
+import {
+  getPriceCalendar,
+  validate,
+  priceCalendarQuerySchema
+} from '../dist/index.js';
+import { sendServerError, sendValidationError } from './utils.js';
+
+// Flatten the validated query into a PriceCalendarRequest
+function parseCalendarQuery(query) {
+  const { data: { stay, ...request }, errors } = validate(priceCalendarQuerySchema, query);
+  return { errors, request: { ...request, ...stay } };
+}
+
+// Cheapest round-trip fare per departure day and stay length over a month.
+// options.getTravelpayoutsClient returns the app's client (null without an API token);
+// options.ttlMinutes is how long a stored sweep is reused.
+export default function createPriceCalendarRouter(getPrismaClient, options = {}) {
+  const router = express.Router();
+
+  // GET /api/price-calendar?origin=YUL&destination=CDG&month=2025-07&stay=5-9[&currency=cad][&refresh=true]
+  router.get('/', async (req, res) => {
+    const { errors, request } = parseCalendarQuery(req.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid price calendar request', errors);
+    }
+
+    const travelpayouts = options.getTravelpayoutsClient();
+    if (!travelpayouts) {
+      console.error('❌ API key not found. Make sure the .env file contains TRAVELPAYOUTS_API_TOKEN');
+      return res.status(500).json({
+        success: false,
+        message: 'API key not configured on server'
+      });
+    }
+
+    try {
+      const calendar = await getPriceCalendar(getPrismaClient(), travelpayouts, request, options.ttlMinutes);
+      return res.json({ success: true, ...calendar });
+    } catch (error) {
+      return sendServerError(res, 'Failed to build price calendar', error);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,61 @@
+import express from 'express';
+import {
+  loadConverter,
+  importRates,
+  parseRatesFile,
+  refreshRates,
+  ExchangeRateError
+} from '../dist/index.js';
+import { sendServerError } from './utils.js';
+import { requireAdmin } from './auth.js';
+
+// Exchange rates used to convert prices to a display currency; changing them requires the admin role.
+// options.rateProvider is where /refresh fetches the latest rates (ECB daily rates by default).
+export default function createRatesRouter(getPrismaClient, options = {}) {
+  const router = express.Router();
+
+  // Latest stored rate of every currency, per 1 EUR
+  router.get('/', async (req, res) => {
+    try {
+      const client = getPrismaClient();
+      const converter = await loadConverter(client);
+      const rates = Object.fromEntries(converter.currencies().map(currency => [currency, converter.factor('eur', currency)]));
+      return res.json({ success: true, base: 'eur', asOf: converter.asOf, rates });
+    } catch (error) {
+      return sendServerError(res, 'Failed to load exchange rates', error);
+    }
+  });
+
+  // Upload an ECB-style XML or CSV file as the request body
+  router.post('/import', requireAdmin, express.text({ type: ['text/*', 'application/xml'], limit: '5mb' }), async (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        message: 'Send an ECB XML or CSV rates file with a text/xml or text/csv content type'
+      });
+    }
+
+    try {
+      const sets = parseRatesFile(req.body);
+      const imported = await importRates(getPrismaClient(), sets, 'import');
+      return res.json({ success: true, message: `Imported ${imported} exchange rates`, days: sets.length, imported });
+    } catch (error) {
+      if (error instanceof ExchangeRateError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      return sendServerError(res, 'Failed to import exchange rates', error);
+    }
+  });
+
+  // Fetch the latest rates from the configured provider
+  router.post('/refresh', requireAdmin, async (req, res) => {
+    try {
+      const result = await refreshRates(getPrismaClient(), options.rateProvider);
+      return res.json({ success: true, ...result });
+    } catch (error) {
+      return sendServerError(res, 'Failed to refresh exchange rates', error);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,114 @@
+import express from 'express';
+import {
+  parseTicketQuery,
+  queryTickets,
+  getTicket,
+  exportTickets,
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  ExchangeRateError
+} from '../dist/index.js';
+import { sendServerError, sendValidationError, parseId, canAccess } from './utils.js';
+
+// Read endpoints over the tickets stored by price checks and searches
+export default function createTicketsRouter(getPrismaClient) {
+  const router = express.Router();
+
+  // GET /api/tickets?origin=YUL&departFrom=2025-07-01&maxPrice=800&sort=price&limit=20[&cursor=123][&displayCurrency=usd]
+  router.get('/', async (req, res) => {
+    const { query, errors } = parseTicketQuery(req.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid ticket query', errors);
+    }
+
+    // Users see the tickets stored for their searches and routes; admins see every ticket
+    if (req.user.role !== 'admin') {
+      query.userId = req.user.id;
+    }
+
+    try {
+      const { tickets, ...page } = await queryTickets(getPrismaClient(), query);
+      return res.json({ success: true, count: tickets.length, ...page, tickets });
+    } catch (error) {
+      if (error instanceof ExchangeRateError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      return sendServerError(res, 'Failed to load tickets', error);
+    }
+  });
+
+  // GET /api/tickets/export?format=csv|jsonl|ics with the same filters as the listing.
+  // Every matching ticket is exported (limit and cursor are ignored), streamed page by page.
+  router.get('/export', async (req, res) => {
+    const format = req.query.format ?? 'csv';
+    const { query, errors } = parseTicketQuery({ ...req.query, limit: undefined, cursor: undefined });
+    if (!EXPORT_FORMATS.includes(format)) {
+      errors.push({ field: 'format', message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid ticket export', errors);
+    }
+
+    if (req.user.role !== 'admin') {
+      query.userId = req.user.id;
+    }
+
+    // Read the first chunk before sending headers so that query errors still get a JSON response
+    const chunks = exportTickets(getPrismaClient(), query, format);
+    let chunk;
+    try {
+      chunk = await chunks.next();
+    } catch (error) {
+      if (error instanceof ExchangeRateError) {
+        return res.status(400).json({ success: false, message: error.message });
+      }
+      return sendServerError(res, 'Failed to export tickets', error);
+    }
+
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="tickets.${format}"`);
+
+    try {
+      while (!chunk.done) {
+        // Wait for the client to take the data before reading the next page
+        if (!res.write(chunk.value)) {
+          await new Promise(resolve => {
+            res.once('drain', resolve);
+            res.once('close', resolve);
+          });
+        }
+        // Stop reading pages once the client has gone away
+        if (res.destroyed) {
+          await chunks.return();
+          return;
+        }
+        chunk = await chunks.next();
+      }
+      res.end();
+    } catch (error) {
+      // The status is already sent; cut the response short so the client sees an incomplete download
+      console.error('Ticket export failed while streaming:', error);
+      res.destroy(error);
+    }
+  });
+
+  // One ticket with its segments and flight legs
+  router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid ticket id' });
+    }
+
+    try {
+      const ticket = await getTicket(getPrismaClient(), id);
+      if (!ticket || !canAccess(req.user, ticket)) {
+        return res.status(404).json({ success: false, message: 'Ticket not found' });
+      }
+      return res.json({ success: true, ticket });
+    } catch (error) {
+      return sendServerError(res, 'Failed to load ticket', error);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,141 @@
+import express from 'express';
+import { validate, checkTripDates, checkDistinctAirports, trackedRouteSchema, trackedRouteListQuerySchema } from '../dist/index.js';
+import { sendServerError, sendValidationError, parseId, ownedBy, canAccess } from './utils.js';
+
+const trackedRouteUpdateSchema = trackedRouteSchema.partial();
+const DATE_FIELDS = ['tripType', 'departDateMin', 'departDateMax', 'returnDateMin', 'returnDateMax'];
+
+// One-way routes are stored without return dates
+export function clearOneWayReturnDates(route, data) {
+  if ((route.tripType || 'round_trip') === 'one_way') {
+    data.returnDateMin = null;
+    data.returnDateMax = null;
+  }
+  return data;
+}
+
+// CRUD endpoints for the routes the scheduled price check iterates over
+export default function createTrackedRoutesRouter(getPrismaClient) {
+  const router = express.Router();
+
+  // List tracked routes, optionally only active ones (?active=true)
+  router.get('/', async (req, res) => {
+    const { data: query, errors } = validate(trackedRouteListQuerySchema, req.query);
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid tracked route query', errors);
+    }
+
+    try {
+      const where = ownedBy(req.user);
+      if (query.active !== undefined) {
+        where.active = query.active;
+      }
+
+      const routes = await getPrismaClient().trackedRoute.findMany({
+        where,
+        orderBy: { id: 'asc' }
+      });
+
+      return res.json({ success: true, routes });
+    } catch (error) {
+      return sendServerError(res, 'Failed to list tracked routes', error);
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid route id' });
+    }
+
+    try {
+      const route = await getPrismaClient().trackedRoute.findUnique({ where: { id } });
+      if (!route || !canAccess(req.user, route)) {
+        return res.status(404).json({ success: false, message: 'Tracked route not found' });
+      }
+      return res.json({ success: true, route });
+    } catch (error) {
+      return sendServerError(res, 'Failed to load tracked route', error);
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    const { data, errors } = validate(trackedRouteSchema, req.body || {});
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid tracked route', errors);
+    }
+    clearOneWayReturnDates(data, data);
+
+    try {
+      const route = await getPrismaClient().trackedRoute.create({ data: { ...data, userId: req.user.id } });
+      console.log(`Tracked route created with ID: ${route.id}`);
+      return res.status(201).json({ success: true, route });
+    } catch (error) {
+      return sendServerError(res, 'Failed to create tracked route', error);
+    }
+  });
+
+  router.patch('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid route id' });
+    }
+
+    const { data, errors } = validate(trackedRouteUpdateSchema, req.body || {});
+    if (errors.length > 0) {
+      return sendValidationError(res, 'Invalid tracked route', errors);
+    }
+
+    try {
+      const client = getPrismaClient();
+      const existing = await client.trackedRoute.findUnique({ where: { id } });
+      if (!existing || !canAccess(req.user, existing)) {
+        return res.status(404).json({ success: false, message: 'Tracked route not found' });
+      }
+
+      // Only the updated fields are checked, so routes saved under older rules can still be paused
+      const updated = { ...existing, ...data };
+      const updateErrors = [];
+      if (DATE_FIELDS.some(field => data[field] !== undefined)) {
+        updateErrors.push(...checkTripDates(updated));
+      }
+      if (data.origin !== undefined || data.destination !== undefined) {
+        updateErrors.push(...checkDistinctAirports(updated));
+      }
+      if (updateErrors.length > 0) {
+        return sendValidationError(res, 'Invalid tracked route', updateErrors);
+      }
+      clearOneWayReturnDates(updated, data);
+
+      const route = await client.trackedRoute.update({ where: { id }, data });
+      return res.json({ success: true, route });
+    } catch (error) {
+      return sendServerError(res, 'Failed to update tracked route', error);
+    }
+  });
+
+  // Deleting a route keeps its stored tickets (their routeId is set to null)
+  // and deletes the alert rules scoped to it
+  router.delete('/:id', async (req, res) => {
+    const id = parseId(req.params.id);
+    if (!id) {
+      return res.status(400).json({ success: false, message: 'Invalid route id' });
+    }
+
+    try {
+      const client = getPrismaClient();
+      const existing = await client.trackedRoute.findUnique({ where: { id } });
+      if (!existing || !canAccess(req.user, existing)) {
+        return res.status(404).json({ success: false, message: 'Tracked route not found' });
+      }
+
+      await client.trackedRoute.delete({ where: { id } });
+      console.log(`Tracked route ${id} deleted`);
+      return res.json({ success: true, message: 'Tracked route deleted' });
+    } catch (error) {
+      return sendServerError(res, 'Failed to delete tracked route', error);
+    }
+  });
+
+  return router;
+}
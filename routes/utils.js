@@ -0,0 +1,54 @@
+// Shared helpers for the Express routers mounted by app.js
+import { QuotaExceededError } from '../dist/index.js';
+
+// Generate a request ID to help correlate logs with specific requests
+export function generateRequestId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+// Log an error server-side and return a 500 response with a message that is
+// generic in production and detailed in development (the production flag of the app config)
+export function sendServerError(res, errorLabel, error) {
+  // A spent Travelpayouts quota is not a server fault; the client can try again later
+  if (error instanceof QuotaExceededError) {
+    console.error(`${errorLabel}: ${error.message}`);
+    return res.status(429).json({ success: false, error: errorLabel, message: error.message });
+  }
+
+  console.error(`${errorLabel}:`, error);
+  console.error('Error details:', {
+    name: error.name,
+    message: error.message,
+    stack: error.stack,
+    code: error.code
+  });
+
+  return res.status(500).json({
+    success: false,
+    error: errorLabel,
+    message: res.app.locals.config.production
+      ? 'An unexpected error occurred'
+      : error.message || 'Unknown error',
+    requestId: generateRequestId()
+  });
+}
+
+// 400 response for a request that failed schema validation, with one { field, message } per invalid field
+export function sendValidationError(res, message, errors) {
+  return res.status(400).json({ success: false, message, errors });
+}
+
+// Parse a positive integer id route parameter, returning null when it is invalid
+export function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Prisma filter limiting records to those owned by the user; admins see every record
+export function ownedBy(user) {
+  return user.role === 'admin' ? {} : { userId: user.id };
+}
+
+export function canAccess(user, record) {
+  return user.role === 'admin' || record.userId === user.id;
+}
@@ -0,0 +1,149 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Secret of the cron user, which acts as an admin without a database lookup
+export const CRON_SECRET = 'test-cron-secret';
+export const ADMIN_HEADERS = { Authorization: `Bearer ${CRON_SECRET}` };
+
+// Round-trip search matching the ROUND_TRIP_TICKETS dates
+export const ROUND_TRIP_SEARCH = {
+  origin: 'YUL',
+  destination: 'YVR',
+  departDateMin: '2025-07-25',
+  departDateMax: '2025-07-29',
+  returnDateMin: '2025-08-07',
+  returnDateMax: '2025-08-11'
+};
+
+function leg(flightNumber, origin, destination, departureAt, arrivalAt) {
+  return {
+    aircraft_code: '321',
+    flight_number: flightNumber,
+    origin,
+    destination,
+    departure_at: departureAt,
+    arrival_at: arrivalAt
+  };
+}
+
+// prices_round_trip tickets as the API returns them: relative links, except for the last one
+export const ROUND_TRIP_TICKETS = [
+  {
+    departure_at: '2025-07-25T06:00:00-04:00',
+    return_at: '2025-08-09T07:30:00-07:00',
+    value: 412,
+    trip_duration: 15,
+    ticket_link: '/YUL2507YVR09081?t=WS1721422800',
+    segments: [
+      { flight_legs: [
+        leg('WS3521', 'YUL', 'YYZ', '2025-07-25T06:00:00-04:00', '2025-07-25T07:25:00-04:00'),
+        leg('WS711', 'YYZ', 'YVR', '2025-07-25T09:15:00-04:00', '2025-07-25T11:20:00-07:00')
+      ] },
+      { flight_legs: [leg('WS712', 'YVR', 'YUL', '2025-08-09T07:30:00-07:00', '2025-08-09T15:10:00-04:00')] }
+    ]
+  },
+  {
+    departure_at: '2025-07-26T08:40:00-04:00',
+    return_at: '2025-08-08T13:00:00-07:00',
+    value: 486,
+    trip_duration: 13,
+    ticket_link: '/YUL2607YVR08081?t=AC1721533600',
+    segments: [
+      { flight_legs: [leg('AC301', 'YUL', 'YVR', '2025-07-26T08:40:00-04:00', '2025-07-26T11:05:00-07:00')] },
+      { flight_legs: [leg('AC302', 'YVR', 'YUL', '2025-08-08T13:00:00-07:00', '2025-08-08T20:45:00-04:00')] }
+    ]
+  },
+  {
+    departure_at: '2025-07-27T07:00:00-04:00',
+    return_at: '2025-08-08T13:00:00-07:00',
+    value: 523,
+    trip_duration: 12,
+    ticket_link: 'https://www.aviasales.com/search/YUL2707YVR08081?t=AC1722078000',
+    segments: [
+      { flight_legs: [
+        leg('AC417', 'YUL', 'YYC', '2025-07-27T07:00:00-04:00', '2025-07-27T09:35:00-06:00'),
+        leg('AC212', 'YYC', 'YVR', '2025-07-27T10:45:00-06:00', '2025-07-27T11:15:00-07:00')
+      ] },
+      { flight_legs: [leg('AC302', 'YVR', 'YUL', '2025-08-08T13:00:00-07:00', '2025-08-08T20:45:00-04:00')] }
+    ]
+  }
+];
+
+// Boot the Express app of app.js against a stubbed Travelpayouts GraphQL endpoint that answers
+// from fixtures written by the tests. The app is configured from the env below only, not from
+// process.env or .env.
+export async function startTestApp(databaseUrl) {
+  const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'travelpayouts-fixtures-'));
+
+  // The app logs every step; TEST_VERBOSE=1 keeps the logs
+  if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  const {
+    createFixtureStore,
+    createMockTravelpayoutsServer,
+    buildRoundTripRequest,
+    buildOneWayRequest
+  } = await import('../dist/index.js');
+
+  const fixtures = createFixtureStore(fixturesDir);
+  const graphql = createMockTravelpayoutsServer(fixtures);
+  await new Promise(resolve => graphql.listen(0, '127.0.0.1', resolve));
+
+  const { createApp, getAppConfigFromEnv } = await import('../app.js');
+  const config = {
+    ...getAppConfigFromEnv({
+      NODE_ENV: 'test',
+      DATABASE_URL: databaseUrl,
+      TRAVELPAYOUTS_MODE: 'live',
+      TRAVELPAYOUTS_API_TOKEN: 'test-token',
+      TRAVELPAYOUTS_API_URL: `http://127.0.0.1:${graphql.address().port}`,
+      TRAVELPAYOUTS_USAGE_STORE: 'memory',
+      SEARCH_CACHE: 'off'
+    }),
+    cronSecret: CRON_SECRET
+  };
+  const app = createApp(config);
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    // Error responses are checked in both modes by switching config.production
+    config,
+
+    // Record the API response to a search as the search-flights route sends it (defaults included)
+    recordSearch(search, data, status = 200) {
+      const request = {
+        currency: 'cad',
+        noLowcost: true,
+        limit: 5,
+        ...search
+      };
+      const body = request.tripType === 'one_way' ? buildOneWayRequest(request) : buildRoundTripRequest(request);
+      fixtures.save(body, { status, data });
+    },
+
+    // JSON request to the app; resolves to { status, body }
+    async request(method, url, { body, headers = ADMIN_HEADERS } = {}) {
+      const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    },
+
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      await new Promise(resolve => graphql.close(resolve));
+      await app.locals.close();
+      fs.rmSync(fixturesDir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,203 @@
+// Saving search and price check results to Postgres. Runs against the database in
+// TEST_DATABASE_URL (with the schema pushed) and is skipped without one.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startTestApp, ADMIN_HEADERS, ROUND_TRIP_SEARCH, ROUND_TRIP_TICKETS } from './helpers.js';
+
+const databaseUrl = process.env.TEST_DATABASE_URL;
+
+describe('ingestion', { skip: !databaseUrl && 'TEST_DATABASE_URL is not set' }, () => {
+  let app;
+  let prisma;
+  let user;
+  let headers;
+  // Owners of tracked routes, so their checks are not repeated observations of the searches above
+  const routeOwners = [];
+
+  before(async () => {
+    app = await startTestApp(databaseUrl);
+    const { PrismaClient } = await import('@prisma/client');
+    prisma = new PrismaClient({ datasourceUrl: databaseUrl });
+
+    // Every run stores its tickets for a new user, so earlier runs do not count as duplicates
+    const email = `test-${crypto.randomUUID()}@example.com`;
+    const password = 'correct horse battery staple';
+    const registered = await app.request('POST', '/api/auth/register', { body: { email, password }, headers: {} });
+    assert.equal(registered.status, 201);
+    user = registered.body.user;
+    const { body } = await app.request('POST', '/api/auth/login', { body: { email, password }, headers: {} });
+    headers = { Authorization: `Bearer ${body.token}` };
+  });
+
+  after(async () => {
+    if (prisma) {
+      const userIds = [user, ...routeOwners].filter(Boolean).map(owner => owner.id);
+      await prisma.ticket.deleteMany({ where: { userId: { in: userIds } } });
+      await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+      await prisma.$disconnect();
+    }
+    await app?.close();
+  });
+
+  async function createRouteOwner() {
+    const owner = await prisma.user.create({
+      data: { email: `test-${crypto.randomUUID()}@example.com`, passwordHash: 'unused' }
+    });
+    routeOwners.push(owner);
+    return owner;
+  }
+
+  it('stores an observation per ticket and skips duplicates of the same window', async () => {
+    app.recordSearch(ROUND_TRIP_SEARCH, { data: { prices_round_trip: ROUND_TRIP_TICKETS } });
+
+    const first = await app.request('POST', '/api/search-flights', { body: ROUND_TRIP_SEARCH, headers });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.dbStats.observations, ROUND_TRIP_TICKETS.length);
+    assert.ok(first.body.tickets.every(ticket => Number.isInteger(ticket.itinerary_id)));
+
+    const second = await app.request('POST', '/api/search-flights', { body: ROUND_TRIP_SEARCH, headers });
+    assert.equal(second.status, 200);
+    assert.equal(second.body.dbStats.newItineraries, 0);
+    assert.deepEqual(
+      second.body.tickets.map(ticket => ticket.itinerary_id),
+      first.body.tickets.map(ticket => ticket.itinerary_id)
+    );
+
+    const stored = await prisma.ticket.findMany({ where: { userId: user.id }, orderBy: { price: 'asc' } });
+    assert.equal(stored.length, ROUND_TRIP_TICKETS.length);
+    assert.deepEqual(stored.map(ticket => ticket.ticketLink), second.body.tickets.map(ticket => ticket.ticket_link));
+  });
+
+  it('keeps saving the other tickets when one of them fails', async () => {
+    const search = { ...ROUND_TRIP_SEARCH, departDateMax: '2025-07-28' };
+    const broken = { ...ROUND_TRIP_TICKETS[1], value: null };
+    app.recordSearch(search, { data: { prices_round_trip: [ROUND_TRIP_TICKETS[0], broken, ROUND_TRIP_TICKETS[2]] } });
+
+    const { status, body } = await app.request('POST', '/api/search-flights', { body: search, headers });
+    assert.equal(status, 200);
+    assert.equal(body.tickets.length, 3);
+    assert.equal(body.dbStats.observations, 2);
+    assert.equal(body.tickets[1].itinerary_id, undefined);
+  });
+
+  it('suggests places, expands metro areas and names airlines from the bundled dataset', async () => {
+    const { importPlacesDirectory } = await import('../dist/index.js');
+    await importPlacesDirectory(prisma);
+
+    const places = await app.request('GET', '/api/places?q=montreal', { headers });
+    assert.equal(places.status, 200);
+    assert.deepEqual(places.body.places.map(place => place.code), ['YMQ', 'YUL', 'YHU']);
+    assert.equal(places.body.places[1].cityCode, 'YMQ');
+
+    const search = await app.request('POST', '/api/search-flights', { body: ROUND_TRIP_SEARCH, headers });
+    assert.deepEqual(search.body.airlines, { AC: 'Air Canada', WS: 'WestJet' });
+
+    // Tickets are stored under the airport (YUL); the metro-area code finds them
+    const { status, body } = await app.request('GET', '/api/tickets?origin=YMQ&destination=YVR&sort=price', { headers });
+    assert.equal(status, 200);
+    assert.ok(body.tickets.length > 0);
+    assert.ok(body.tickets.every(ticket => ticket.origin === 'YUL'));
+    assert.equal(body.tickets[0].outboundAirline, 'WS');
+    assert.equal(body.tickets[0].outboundAirlineName, 'WestJet');
+  });
+
+  it('checks a tracked route and stores its tickets', async () => {
+    const owner = await createRouteOwner();
+    const route = await prisma.trackedRoute.create({
+      data: { ...ROUND_TRIP_SEARCH, destination: 'YYC', userId: owner.id }
+    });
+    const tickets = ROUND_TRIP_TICKETS.map(ticket => ({ ...ticket, ticket_link: `${ticket.ticket_link}&route=${route.id}` }));
+    app.recordSearch({ ...ROUND_TRIP_SEARCH, destination: 'YYC' }, { data: { prices_round_trip: tickets } });
+
+    const { status, body } = await app.request('GET', `/api/run-price-check?routeId=${route.id}`, { headers: ADMIN_HEADERS });
+    assert.equal(status, 200);
+    assert.equal(body.success, true);
+    assert.deepEqual(body.results.map(result => [result.routeId, result.success, result.ticketsFound, result.observations]), [
+      [route.id, true, tickets.length, tickets.length]
+    ]);
+
+    const stored = await prisma.ticket.count({ where: { routeId: route.id } });
+    assert.equal(stored, tickets.length);
+  });
+
+  it('reports a failed route without failing the price check', async () => {
+    const route = await prisma.trackedRoute.create({
+      data: { ...ROUND_TRIP_SEARCH, destination: 'YEG', userId: user.id }
+    });
+    app.recordSearch({ ...ROUND_TRIP_SEARCH, destination: 'YEG' }, { errors: [{ message: 'Invalid destination' }] });
+
+    const { status, body } = await app.request('GET', `/api/run-price-check?routeId=${route.id}`, { headers: ADMIN_HEADERS });
+    assert.equal(status, 200);
+    assert.equal(body.results[0].success, false);
+    assert.equal(body.results[0].error, 'GraphQL error: Invalid destination');
+  });
+
+  it('computes a price drop from the observations of the rule owner only', async () => {
+    const { recordTicketObservation } = await import('../dist/index.js');
+    const [owner, other] = [await createRouteOwner(), await createRouteOwner()];
+    const route = await prisma.trackedRoute.create({
+      data: { ...ROUND_TRIP_SEARCH, destination: 'YQR', userId: owner.id }
+    });
+    app.recordSearch({ ...ROUND_TRIP_SEARCH, destination: 'YQR' }, { data: { prices_round_trip: ROUND_TRIP_TICKETS } });
+
+    // The owner saw every fare 200 CAD higher two hours ago; another user saw them 500 CAD higher since
+    const observe = async (user, increase, hoursAgo) => {
+      for (const ticket of ROUND_TRIP_TICKETS) {
+        const { ticket: stored } = await recordTicketObservation(prisma, { ...ticket, value: ticket.value + increase }, {
+          currency: 'cad',
+          userId: user.id
+        });
+        await prisma.ticket.update({
+          where: { id: stored.id },
+          data: { createdAt: new Date(Date.now() - hoursAgo * 3600000), observationKey: null }
+        });
+      }
+    };
+    await observe(owner, 200, 2);
+    await observe(other, 500, 1);
+    const rule = await prisma.alertRule.create({
+      data: { name: 'Regina drop', type: 'price_drop', dropPercent: 20, routeId: route.id, userId: owner.id }
+    });
+
+    const { body } = await app.request('GET', `/api/run-price-check?routeId=${route.id}`, { headers: ADMIN_HEADERS });
+    assert.equal(body.results[0].alertsFired, 3);
+    const events = await prisma.alertEvent.findMany({ where: { ruleId: rule.id }, orderBy: { price: 'asc' } });
+    assert.deepEqual(
+      events.map(event => [event.price, event.previousPrice]),
+      ROUND_TRIP_TICKETS.map(ticket => [ticket.value, ticket.value + 200])
+    );
+  });
+
+  it('fires a price drop alert once when price checks overlap', async () => {
+    const { recordTicketObservation } = await import('../dist/index.js');
+    const owner = await createRouteOwner();
+    const route = await prisma.trackedRoute.create({
+      data: { ...ROUND_TRIP_SEARCH, destination: 'YXE', userId: owner.id }
+    });
+    app.recordSearch({ ...ROUND_TRIP_SEARCH, destination: 'YXE' }, { data: { prices_round_trip: ROUND_TRIP_TICKETS } });
+
+    // The previous check, two hours ago, found every fare 200 CAD higher
+    for (const ticket of ROUND_TRIP_TICKETS) {
+      const { ticket: previous } = await recordTicketObservation(prisma, { ...ticket, value: ticket.value + 200 }, {
+        currency: 'cad',
+        userId: owner.id
+      });
+      await prisma.ticket.update({
+        where: { id: previous.id },
+        data: { createdAt: new Date(Date.now() - 2 * 3600000), observationKey: null }
+      });
+    }
+    await prisma.alertRule.create({
+      data: { name: 'Saskatoon drop', type: 'price_drop', dropPercent: 20, routeId: route.id, userId: owner.id }
+    });
+
+    const first = await app.request('GET', `/api/run-price-check?routeId=${route.id}`, { headers: ADMIN_HEADERS });
+    assert.deepEqual(first.body.results.map(result => [result.observations, result.alertsFired]), [[3, 3]]);
+
+    // A manual check within the observation window of the scheduled one
+    const second = await app.request('GET', `/api/run-price-check?routeId=${route.id}`, { headers: ADMIN_HEADERS });
+    assert.deepEqual(second.body.results.map(result => [result.observations, result.alertsFired]), [[0, 0]]);
+    assert.equal(await prisma.alertEvent.count({ where: { rule: { routeId: route.id } } }), 3);
+  });
+});
@@ -0,0 +1,113 @@
+// Maintenance of stored observations (deduplication, compaction and retention) and the readers of compacted days.
+// Runs against the database in TEST_DATABASE_URL (with the schema pushed) and is skipped without one.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { ROUND_TRIP_TICKETS } from './helpers.js';
+
+const databaseUrl = process.env.TEST_DATABASE_URL;
+
+// Compaction only; the test tickets departed long ago, so the retention is left off
+const MAINTENANCE = { dryRun: false, observationWindowMinutes: 60, compactAfterDays: 30, retentionDays: null };
+
+const daysAgo = (days, time) => new Date(`${new Date(Date.now() - days * 86400000).toISOString().substring(0, 10)}T${time}Z`);
+
+describe('maintenance', { skip: !databaseUrl && 'TEST_DATABASE_URL is not set' }, () => {
+  let prisma;
+  let lib;
+  const users = [];
+
+  before(async () => {
+    const { PrismaClient } = await import('@prisma/client');
+    prisma = new PrismaClient({ datasourceUrl: databaseUrl });
+    lib = await import('../dist/index.js');
+    if (!process.env.TEST_VERBOSE) {
+      console.log = () => {};
+    }
+  });
+
+  after(async () => {
+    if (prisma) {
+      const userIds = users.map(user => user.id);
+      await prisma.itineraryDailyPrice.deleteMany({ where: { userId: { in: userIds } } });
+      await prisma.ticket.deleteMany({ where: { userId: { in: userIds } } });
+      await prisma.user.deleteMany({ where: { id: { in: userIds } } });
+      await prisma.$disconnect();
+    }
+  });
+
+  // Every test stores its tickets for a new user, so they are told apart from other runs
+  async function createUser() {
+    const user = await prisma.user.create({
+      data: { email: `test-${crypto.randomUUID()}@example.com`, passwordHash: 'unused' }
+    });
+    users.push(user);
+    return user;
+  }
+
+  // Store tickets as observations of a check made at observedAt, as a legacy row without an
+  // observation key so later observations of the same window add a row
+  async function observe(user, tickets, observedAt) {
+    const stored = [];
+    for (const ticket of tickets) {
+      const { ticket: row } = await lib.recordTicketObservation(prisma, ticket, { currency: 'cad', tripType: 'round_trip', userId: user.id });
+      stored.push(await prisma.ticket.update({ where: { id: row.id }, data: { createdAt: observedAt, observationKey: null } }));
+    }
+    return stored;
+  }
+
+  it('keeps the route price history of compacted days', async () => {
+    const user = await createUser();
+    // Checks at the start of their day, so checkedAt stays the same once they are a day's aggregate
+    await observe(user, ROUND_TRIP_TICKETS, daysAgo(41, '00:10:00'));
+    await observe(user, ROUND_TRIP_TICKETS.map(ticket => ({ ...ticket, value: ticket.value + 40 })), daysAgo(40, '00:20:00'));
+    await observe(user, ROUND_TRIP_TICKETS.slice(1), daysAgo(2, '09:00:00'));
+
+    const query = { origin: 'YUL', destination: 'YVR', currency: 'cad', days: 90, userId: user.id };
+    const before = await lib.getRoutePriceHistory(prisma, query);
+    assert.deepEqual(before.history.map(check => [check.minPrice, check.maxPrice, check.observations]), [
+      [412, 523, 3],
+      [452, 563, 3],
+      [486, 523, 2]
+    ]);
+
+    await lib.runMaintenance(prisma, MAINTENANCE);
+
+    assert.equal(await prisma.ticket.count({ where: { userId: user.id } }), 4);
+    assert.deepEqual(await lib.getRoutePriceHistory(prisma, query), before);
+  });
+
+  it('keeps the latest price of duplicated observations', async () => {
+    const user = await createUser();
+    const [ticket] = ROUND_TRIP_TICKETS;
+    // Two checks of one observation window stored before the observation key existed
+    const [earlier] = await observe(user, [ticket], daysAgo(1, '10:05:00'));
+    const [later] = await observe(user, [{ ...ticket, value: 389 }], daysAgo(1, '10:35:00'));
+
+    await lib.runMaintenance(prisma, { ...MAINTENANCE, compactAfterDays: null });
+
+    const stored = await prisma.ticket.findMany({ where: { userId: user.id } });
+    assert.deepEqual(stored.map(row => [row.id, row.price]), [[later.id, 389]]);
+    assert.notEqual(earlier.id, later.id);
+  });
+
+  it('keeps the legs of saved multi-city itineraries out of the retention', async () => {
+    const user = await createUser();
+    const [leg, other] = await observe(user, ROUND_TRIP_TICKETS.slice(0, 2), daysAgo(1, '12:00:00'));
+    await prisma.multiCityItinerary.create({
+      data: {
+        totalPrice: leg.price,
+        totalDuration: 0,
+        currency: 'cad',
+        userId: user.id,
+        legs: { create: [{ position: 0, ticketId: leg.id }] }
+      }
+    });
+
+    // A dry run, so that the departed tickets of other tests are left alone
+    const { retention } = await lib.runMaintenance(prisma, { ...MAINTENANCE, compactAfterDays: null, retentionDays: 30, dryRun: true });
+    assert.ok(retention.ticketsRemoved >= 1);
+    assert.ok(retention.multiCityTicketsKept >= 1);
+    assert.equal(await prisma.ticket.count({ where: { id: { in: [leg.id, other.id] } } }), 2);
+  });
+});
@@ -0,0 +1,265 @@
+// Alert delivery channels against local stand-ins: an HTTP server for the webhooks and a minimal
+// SMTP server for email. No database is needed.
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import http from 'http';
+import net from 'net';
+import {
+  createEmailChannel,
+  createWebhookChannel,
+  createSlackChannel,
+  signWebhookPayload,
+  deliverWithRetry,
+  notifyAlertEvents,
+  getRetryOptionsFromEnv,
+  WEBHOOK_SIGNATURE_HEADER
+} from '../dist/index.js';
+
+const NOTIFICATION = {
+  title: 'Fare alert: Summer in Vancouver',
+  message: 'YUL → YVR dropped to 412 CAD',
+  url: 'https://www.aviasales.com/search/YUL2507YVR09081',
+  price: 412,
+  currency: 'cad',
+  ruleId: 3,
+  ruleName: 'Summer in Vancouver',
+  alertEventId: 7,
+  ticketId: 11,
+  itineraryId: 5,
+  createdAt: '2025-07-01T12:00:00.000Z'
+};
+
+const NO_DELAY = { maxAttempts: 3, baseDelayMs: 1 };
+
+// Failed attempts are logged; TEST_VERBOSE=1 keeps the logs
+if (!process.env.TEST_VERBOSE) {
+  console.error = () => {};
+}
+
+// HTTP server answering each request with the next status of statuses (the last one repeats)
+async function startHttpServer(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// SMTP server accepting every message, enough for nodemailer without TLS or authentication
+async function startSmtpServer() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let message = null;
+    socket.write('220 localhost ESMTP test\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.substring(0, end);
+        buffer = buffer.substring(end + 2);
+        if (message?.data !== undefined) {
+          if (line === '.') {
+            messages.push(message);
+            message = null;
+            socket.write('250 OK\r\n');
+          } else {
+            message.data += `${line}\r\n`;
+          }
+        } else if (/^(EHLO|HELO)/i.test(line)) {
+          socket.write('250 localhost\r\n');
+        } else if (/^MAIL FROM:/i.test(line)) {
+          message = { from: line.substring(10), to: [] };
+          socket.write('250 OK\r\n');
+        } else if (/^RCPT TO:/i.test(line)) {
+          message.to.push(line.substring(8));
+          socket.write('250 OK\r\n');
+        } else if (/^DATA/i.test(line)) {
+          message.data = '';
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (/^QUIT/i.test(line)) {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('webhook channel', () => {
+  let hook;
+
+  before(async () => {
+    hook = await startHttpServer();
+  });
+
+  after(async () => {
+    await hook.close();
+  });
+
+  it('posts the notification as JSON signed with the secret', async () => {
+    const channel = createWebhookChannel({ url: hook.url, secret: 'webhook-secret' });
+    const result = await deliverWithRetry(channel, channel.formatPayload(NOTIFICATION), NO_DELAY);
+    assert.deepEqual(result, { attempts: 1 });
+
+    const [request] = hook.requests.splice(0);
+    assert.deepEqual(JSON.parse(request.body), { event: 'fare_alert', ...NOTIFICATION });
+    const expected = 'sha256=' + crypto.createHmac('sha256', 'webhook-secret').update(request.body).digest('hex');
+    assert.equal(request.headers[WEBHOOK_SIGNATURE_HEADER.toLowerCase()], expected);
+    assert.equal(signWebhookPayload(request.body, 'webhook-secret'), expected);
+  });
+
+  it('sends no signature without a secret', async () => {
+    const channel = createWebhookChannel({ url: hook.url });
+    await deliverWithRetry(channel, channel.formatPayload(NOTIFICATION), NO_DELAY);
+
+    const [request] = hook.requests.splice(0);
+    assert.equal(request.headers[WEBHOOK_SIGNATURE_HEADER.toLowerCase()], undefined);
+  });
+});
+
+describe('slack channel', () => {
+  it('posts a text message linking to the fare', async () => {
+    const hook = await startHttpServer();
+    try {
+      const channel = createSlackChannel({ url: hook.url });
+      await deliverWithRetry(channel, channel.formatPayload(NOTIFICATION), NO_DELAY);
+
+      const { text } = JSON.parse(hook.requests[0].body);
+      assert.ok(text.startsWith(`*${NOTIFICATION.title}*`));
+      assert.ok(text.includes(`<${NOTIFICATION.url}|View on Aviasales>`));
+    } finally {
+      await hook.close();
+    }
+  });
+});
+
+describe('email channel', () => {
+  it('sends the notification through the SMTP server', async () => {
+    const smtp = await startSmtpServer();
+    try {
+      const channel = createEmailChannel({
+        host: '127.0.0.1',
+        port: smtp.port,
+        from: 'alerts@example.com',
+        to: 'traveller@example.com'
+      });
+      const result = await deliverWithRetry(channel, channel.formatPayload(NOTIFICATION), NO_DELAY);
+      assert.deepEqual(result, { attempts: 1 });
+
+      const [message] = smtp.messages;
+      assert.equal(message.from, '<alerts@example.com>');
+      assert.deepEqual(message.to, ['<traveller@example.com>']);
+      assert.match(message.data, /^Subject: Fare alert: Summer in Vancouver$/m);
+      // The body is quoted-printable (the message has non-ASCII text); join its soft line breaks
+      assert.ok(message.data.replace(/=\r\n/g, '').includes(`View on Aviasales: ${NOTIFICATION.url}`));
+    } finally {
+      await smtp.close();
+    }
+  });
+});
+
+describe('deliverWithRetry', () => {
+  it('retries failed deliveries until one succeeds', async () => {
+    const hook = await startHttpServer([500, 502, 200]);
+    try {
+      const channel = createWebhookChannel({ url: hook.url });
+      const result = await deliverWithRetry(channel, channel.formatPayload(NOTIFICATION), NO_DELAY);
+      assert.deepEqual(result, { attempts: 3 });
+      assert.equal(hook.requests.length, 3);
+    } finally {
+      await hook.close();
+    }
+  });
+
+  it('gives up after the last attempt with the error', async () => {
+    const hook = await startHttpServer([503]);
+    try {
+      const channel = createWebhookChannel({ url: hook.url });
+      const result = await deliverWithRetry(channel, channel.formatPayload(NOTIFICATION), { maxAttempts: 2, baseDelayMs: 1 });
+      assert.equal(result.attempts, 2);
+      assert.match(result.error, /^HTTP 503: /);
+      assert.equal(hook.requests.length, 2);
+    } finally {
+      await hook.close();
+    }
+  });
+
+  it('reads the retry settings from the environment', () => {
+    assert.deepEqual(getRetryOptionsFromEnv({ NOTIFY_MAX_ATTEMPTS: '5', NOTIFY_RETRY_BASE_MS: '0' }), { maxAttempts: 5, baseDelayMs: 0 });
+    assert.deepEqual(getRetryOptionsFromEnv({ NOTIFY_MAX_ATTEMPTS: 'many', NOTIFY_RETRY_BASE_MS: '-1' }), { maxAttempts: 3, baseDelayMs: 500 });
+  });
+});
+
+describe('notifyAlertEvents', () => {
+  // Alert events of a rule owned by a user and of a rule without an owner, and the deliveries recorded
+  const EVENTS = {
+    1: { ...NOTIFICATION, owner: { email: 'traveller@example.com' } },
+    2: { ...NOTIFICATION, ruleName: 'Operator watch', owner: null }
+  };
+  const deliveries = [];
+  const client = {
+    alertEvent: {
+      findUnique: async ({ where }) => ({
+        id: where.id,
+        ruleId: where.id,
+        rule: { name: EVENTS[where.id].ruleName, user: EVENTS[where.id].owner },
+        ticket: { ticketLink: NOTIFICATION.url },
+        ticketId: NOTIFICATION.ticketId,
+        itineraryId: NOTIFICATION.itineraryId,
+        message: NOTIFICATION.message,
+        price: NOTIFICATION.price,
+        currency: NOTIFICATION.currency,
+        createdAt: new Date(NOTIFICATION.createdAt)
+      })
+    },
+    notificationDelivery: {
+      create: async ({ data }) => {
+        deliveries.push(data);
+        return { id: deliveries.length };
+      },
+      update: async () => ({})
+    }
+  };
+
+  it('emails the alerts of a user\'s rule to their account and the others to the operator', async () => {
+    const [hook, smtp] = [await startHttpServer(), await startSmtpServer()];
+    try {
+      const channels = {
+        operator: [createWebhookChannel({ url: hook.url })],
+        owner: to => createEmailChannel({ host: '127.0.0.1', port: smtp.port, from: 'alerts@example.com', to })
+      };
+      const delivered = await notifyAlertEvents(client, [{ id: 1 }, { id: 2 }], channels, NO_DELAY);
+      assert.equal(delivered, 2);
+
+      assert.deepEqual(deliveries.map(delivery => [delivery.alertEventId, delivery.channel, delivery.target]), [
+        [1, 'email', 'traveller@example.com'],
+        [2, 'webhook', hook.url]
+      ]);
+      assert.deepEqual(smtp.messages.map(message => message.to), [['<traveller@example.com>']]);
+      assert.deepEqual(hook.requests.map(request => JSON.parse(request.body).ruleName), ['Operator watch']);
+    } finally {
+      await hook.close();
+      await smtp.close();
+    }
+  });
+});